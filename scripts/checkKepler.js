@@ -0,0 +1,44 @@
+// scripts/checkKepler.js
+// Solve Kepler's equation over many revolutions, forwards and backwards,
+// for eccentricities up to 0.99, and fail on any residual or any jump in E.
+//
+//   npm run check:kepler
+import { solveKepler } from "../src/sim/solarSim.js";
+
+const TAU = Math.PI * 2;
+const ECCENTRICITIES = [0, 0.1, 0.5, 0.8, 0.9, 0.97, 0.99];
+const REVOLUTIONS = 50;
+const SAMPLES_PER_REVOLUTION = 1000;
+const TOLERANCE = 1e-9;
+
+function run() {
+  const failures = [];
+  for (const e of ECCENTRICITIES) {
+    let worst = 0;
+    let prevE = null;
+    const n = REVOLUTIONS * SAMPLES_PER_REVOLUTION;
+    for (let i = -n; i <= n; i++) {
+      const M = (i / SAMPLES_PER_REVOLUTION) * TAU;
+      const E = solveKepler(M, e);
+      const residual = Math.abs(E - e * Math.sin(E) - M);
+      worst = Math.max(worst, residual);
+      // E grows with M, never by more than a step over the slowest point (1 - e)
+      if (prevE !== null && !(E > prevE && E - prevE <= TAU / SAMPLES_PER_REVOLUTION / (1 - e) + TOLERANCE)) {
+        failures.push(`e = ${e}: E jumps from ${prevE} to ${E} at M = ${M}`);
+        break;
+      }
+      prevE = E;
+    }
+    if (!(worst <= TOLERANCE)) failures.push(`e = ${e}: residual ${worst.toExponential(2)}`);
+    console.log(`e = ${e}: worst residual ${worst.toExponential(2)} over ±${REVOLUTIONS} revolutions`);
+  }
+  if (failures.length > 0) throw new Error(`\n- ${failures.join("\n- ")}`);
+  console.log("ok");
+}
+
+try {
+  run();
+} catch (err) {
+  console.error(`check:kepler: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,67 @@
+// scripts/checkNBody.js
+// Integrate one full loop in N-body mode and fail if any body escapes its
+// parent, or strays from its analytic orbit distance by more than --tolerance.
+//
+//   npm run check:nbody
+//   npm run check:nbody -- --system my-system.json --tolerance 0.05
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { solarConfig } from "../src/sim/solarConfig.js";
+import { parseSystem } from "../src/sim/systemLoader.js";
+import { createNBodySim } from "../src/sim/nbodySim.js";
+import { createSolarSim } from "../src/sim/solarSim.js";
+
+const STEP = 1; // sim seconds between checks
+
+const distance = (state, a, b) => {
+  const p = state.bodies[a].position, q = state.bodies[b].position;
+  return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+};
+
+function run(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      system: { type: "string" },
+      tolerance: { type: "string" },
+    },
+  });
+  const tolerance = Number(values.tolerance ?? 0.02);
+  if (!(tolerance > 0)) throw new Error(`--tolerance must be a positive number, got '${values.tolerance}'`);
+
+  const loaded = values.system ? parseSystem(readFileSync(values.system, "utf8")) : solarConfig;
+  const config = { ...loaded, timeScale: 1 };
+  const nbody = createNBodySim(config);
+  const kepler = createSolarSim(config);
+  // quantum bodies keep their starting host in both sims
+  const orbiting = Object.keys(config.bodies).filter((name) => config.bodies[name].orbit && config.bodies[name].parent);
+
+  const worst = {};
+  for (let t = STEP; t <= config.loop.length; t += STEP) {
+    nbody.update(STEP);
+    kepler.setTime(t);
+    const { unbound } = nbody.getDiagnostics();
+    if (unbound.length > 0) throw new Error(`unbound at t = ${t} s: ${unbound.join(", ")}`);
+
+    const state = nbody.getState(), expected = kepler.getState();
+    for (const name of orbiting) {
+      const parent = config.bodies[name].parent;
+      const off = Math.abs(distance(state, name, parent) / distance(expected, name, parent) - 1);
+      if (!(off <= (worst[name]?.off ?? 0))) worst[name] = { off, t };
+    }
+  }
+
+  const strays = Object.entries(worst).filter(([, w]) => !(w.off <= tolerance));
+  for (const [name, w] of strays) {
+    console.error(`${name}: ${(w.off * 100).toFixed(1)}% off its orbit distance at t = ${w.t} s`);
+  }
+  if (strays.length > 0) throw new Error(`${strays.length} bodies strayed more than ${tolerance * 100}%`);
+  console.log(`ok: every body bound over one ${config.loop.length} s loop; energy drift ${nbody.getDiagnostics().energyDrift.toExponential(2)}`);
+}
+
+try {
+  run(process.argv.slice(2));
+} catch (err) {
+  console.error(`check:nbody: ${err.message}`);
+  process.exitCode = 1;
+}
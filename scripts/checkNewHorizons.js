@@ -0,0 +1,90 @@
+// scripts/checkNewHorizons.js
+// Import sample New Horizons configs (into the vanilla system and as a
+// system of their own), load them, and sample every orbit over one loop:
+// fail if a body leaves its [periapsis, apoapsis] band around its parent or
+// moves further in one sample than its periapsis speed allows. The comet
+// sits at the importer's eccentricity clamp, so the high-e Kepler path runs
+// for many revolutions.
+//
+//   npm run check:newhorizons
+import { bundledSystem } from "../src/sim/solarConfig.js";
+import { loadSystem } from "../src/sim/systemLoader.js";
+import { importNewHorizons } from "../src/sim/newHorizons.js";
+import { orbitPos, orbitElements } from "../src/sim/solarSim.js";
+
+const STEP = 0.05; // sim seconds between samples
+const TAU = Math.PI * 2;
+
+const vanillaConfigs = [
+  {
+    name: "Wetrock",
+    starSystem: "SolarSystem",
+    Base: { surfaceSize: 150, surfaceGravity: 8 },
+    Orbit: { primaryBody: "Sun", semiMajorAxis: 12000, eccentricity: 0.3, inclination: 5, trueAnomaly: 40 },
+  },
+  {
+    // beyond the clamp on purpose: imported at e = 0.99
+    name: "Splinter Comet",
+    starSystem: "SolarSystem",
+    Base: { surfaceSize: 40 },
+    Orbit: { primaryBody: "Sun", semiMajorAxis: 6000, eccentricity: 0.995, argumentOfPeriapsis: 120, trueAnomaly: 170 },
+  },
+];
+
+const customConfigs = [
+  { name: "Hearth Star", starSystem: "Far Reach", Base: { centerOfSolarSystem: true, surfaceGravity: 12, surfaceSize: 1800 }, Star: { size: 1800 } },
+  {
+    name: "Longshot",
+    starSystem: "Far Reach",
+    Base: { surfaceSize: 200 },
+    Orbit: { primaryBody: "Hearth Star", semiMajorAxis: 9000, eccentricity: 0.9, inclination: 20, trueAnomaly: -30 },
+  },
+];
+
+// Sample every orbiting body of a loaded config over one loop
+function checkSystem(label, config, bodies) {
+  const failures = [];
+  for (const name of bodies) {
+    const orbit = config.bodies[name].orbit;
+    const { a, e, period } = orbitElements(orbit);
+    const rMin = a * (1 - e), rMax = a * (1 + e);
+    const maxStep = (TAU / period) * a * Math.sqrt((1 + e) / (1 - e)) * STEP;
+
+    let prev = null;
+    for (let t = 0; t <= config.loop.length; t += STEP) {
+      const p = orbitPos(orbit, t);
+      const r = Math.hypot(p.x, p.y, p.z);
+      if (!(r >= rMin * (1 - 1e-6) && r <= rMax * (1 + 1e-6))) {
+        failures.push(`${label}/${name}: r = ${r} outside [${rMin}, ${rMax}] at t = ${t.toFixed(2)}`);
+        break;
+      }
+      if (prev && !(Math.hypot(p.x - prev.x, p.y - prev.y, p.z - prev.z) <= maxStep * (1 + 1e-6))) {
+        failures.push(`${label}/${name}: jumps at t = ${t.toFixed(2)}`);
+        break;
+      }
+      prev = p;
+    }
+    console.log(`${label}/${name}: e = ${e}, ${(config.loop.length / period).toFixed(1)} revolutions`);
+  }
+  return failures;
+}
+
+function run() {
+  const failures = [];
+
+  const vanilla = importNewHorizons(vanillaConfigs, bundledSystem).system;
+  failures.push(...checkSystem("SolarSystem", loadSystem(vanilla), ["Wetrock", "SplinterComet"]));
+
+  const custom = importNewHorizons(customConfigs, bundledSystem).system;
+  failures.push(...checkSystem("Far Reach", loadSystem(custom), ["Longshot"]));
+
+  if (failures.length > 0) throw new Error(`\n- ${failures.join("\n- ")}`);
+  console.log("ok");
+}
+
+try {
+  run();
+} catch (err) {
+  console.error(`check:newhorizons: ${err.message}`);
+  process.exitCode = 1;
+}
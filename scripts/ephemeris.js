@@ -0,0 +1,98 @@
+// scripts/ephemeris.js
+// Headless ephemeris export: sample a system with the browser app's sims
+// and write positions/velocities per body as CSV or JSON.
+//
+//   npm run ephemeris -- --step 10 --out ephemeris.csv
+//   npm run ephemeris -- --system my-system.json --frame body --center TimberHearth \
+//     --bodies Attlerock --units visual --format json
+//
+// Run with --help for every option.
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { solarConfig } from "../src/sim/solarConfig.js";
+import { parseSystem } from "../src/sim/systemLoader.js";
+import { sampleEphemeris, ephemerisToCsv } from "../src/sim/ephemeris.js";
+
+const USAGE = `Usage: npm run ephemeris -- [options]
+
+  --system <file>      system JSON (src/systems/system.schema.json); default: Outer Wilds
+  --start <s>          first sample, sim seconds (default 0)
+  --end <s>            last sample, sim seconds (default: the loop length)
+  --step <s>           seconds between samples (default 1)
+  --mode <m>           kepler (analytic, default) or nbody
+  --frame <f>          inertial (default), body or rotating
+  --center <body>      frame center for body/rotating frames
+  --reference <body>   fixed +X direction for rotating frames
+  --bodies <a,b,...>   bodies to include (default: all)
+  --units <u>          game (meters, m/s; default) or visual
+  --format <f>         csv or json (default: from --out, else csv)
+  --out <file>         write here instead of stdout
+  --help               show this help
+`;
+
+// Number option, or the fallback when it wasn't given
+function number(values, key, fallback) {
+  if (values[key] === undefined) return fallback;
+  const n = Number(values[key]);
+  if (!Number.isFinite(n)) throw new Error(`--${key} must be a number, got '${values[key]}'`);
+  return n;
+}
+
+function run(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      system: { type: "string" },
+      start: { type: "string" },
+      end: { type: "string" },
+      step: { type: "string" },
+      mode: { type: "string" },
+      frame: { type: "string" },
+      center: { type: "string" },
+      reference: { type: "string" },
+      bodies: { type: "string" },
+      units: { type: "string" },
+      format: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean" },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  const config = values.system ? parseSystem(readFileSync(values.system, "utf8")) : solarConfig;
+
+  const type = values.frame ?? "inertial";
+  if (!["inertial", "body", "rotating"].includes(type)) {
+    throw new Error(`Unknown frame '${type}' (use inertial, body or rotating)`);
+  }
+  if (type !== "inertial" && !values.center) throw new Error(`--center is required for a ${type} frame`);
+  if (type === "rotating" && !values.reference) throw new Error("--reference is required for a rotating frame");
+
+  const format = values.format ?? (values.out?.endsWith(".json") ? "json" : "csv");
+  if (!["csv", "json"].includes(format)) throw new Error(`Unknown format '${format}' (use csv or json)`);
+
+  const ephemeris = sampleEphemeris(config, {
+    start: number(values, "start", 0),
+    end: number(values, "end", config.loop.length),
+    step: number(values, "step", 1),
+    mode: values.mode,
+    frame: { type, center: values.center, reference: values.reference },
+    bodies: values.bodies?.split(",").map((b) => b.trim()),
+    units: values.units,
+  });
+
+  const text = format === "json" ? `${JSON.stringify(ephemeris, null, 2)}\n` : ephemerisToCsv(ephemeris);
+  if (values.out) writeFileSync(values.out, text);
+  else process.stdout.write(text);
+}
+
+try {
+  run(process.argv.slice(2));
+} catch (err) {
+  console.error(`ephemeris: ${err.message}`);
+  process.exitCode = 1;
+}
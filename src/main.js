@@ -6,8 +6,29 @@ import "./style.css";
 
 // ✅ NEW: simulation + view modules (planets/moons/orbits)
 import { createSolarSim } from "./sim/solarSim.js";
-import { solarConfig } from "./sim/solarConfig.js";
+import { createNBodySim } from "./sim/nbodySim.js";
+import { createSimClock } from "./sim/simClock.js";
+import { solarConfig, bundledSystem } from "./sim/solarConfig.js";
+import { loadSystem, saveSystem, keplerPeriod } from "./sim/systemLoader.js";
+import { importNewHorizons, isNewHorizonsConfig } from "./sim/newHorizons.js";
 import { createSolarView } from "./view/solarView.js";
+import { loopStateAt, formatLoopTime } from "./sim/timeLoop.js";
+import { createSupernovaView } from "./view/supernovaView.js";
+import { createCameraFocus } from "./view/cameraFocus.js";
+import { applyReferenceFrame } from "./sim/referenceFrames.js";
+import { createTrailsView } from "./view/trailsView.js";
+import { createLabelsView } from "./view/labelsView.js";
+import { createHudView } from "./view/hudView.js";
+import { bodyTelemetry, bodyLabel } from "./sim/telemetry.js";
+import { createObserver } from "./view/observation.js";
+import { sandStateAt } from "./sim/sandFlow.js";
+import { createCrustPlan, crustStateAt } from "./sim/crustCollapse.js";
+import { createBlackHoleLens } from "./view/blackHoleView.js";
+import { EVENT_TYPES } from "./sim/events.js";
+import { createEventsTimeline } from "./view/eventsView.js";
+import { createSunPresets, DEFAULT_PRESET } from "./view/sunPresets.js";
+import { createCapture } from "./view/capture.js";
+import { parseCameraPath, cameraPose, cameraKeyframe } from "./view/cameraPath.js";
 
 /**
  * Outer Wilds Sun
@@ -93,7 +114,8 @@ const geometry = new THREE.SphereGeometry(sunRadius, 16, 16);
 // - intensity is scene-scale dependent; tweak if planets look too dark/bright.
 // - distance = 0 means infinite range.
 // - decay = 2 is physically-plausible inverse-square falloff (good with ACES tone mapping).
-const sunLight = new THREE.PointLight(0xffffff, 400, 0, 1);
+const sunLightIntensity = 400; // resting intensity; the time loop scales this
+const sunLight = new THREE.PointLight(0xffffff, sunLightIntensity, 0, 1);
 sunLight.position.set(0, 0, 0);
 sunLight.castShadow = true;
 sunLight.shadow.mapSize.set(2048, 2048);
@@ -152,6 +174,13 @@ const sunFragment = /* glsl */ `
   uniform float uLoopPeriod;
   uniform float uSpotPulse;
   uniform float uSpotPhaseScale;
+  uniform bool uSpotDebug;     // show the spot field and mask instead of the surface
+  // time loop (driven every frame, not GUI-tuned)
+  uniform float uAgeMix;       // 0..1 toward the red-giant colors
+  uniform vec3 uAgeBaseColor;
+  uniform vec3 uAgeHotColor;
+  uniform float uFlash;        // 0..1 toward the collapse/supernova flash
+  uniform vec3 uFlashColor;
 
   varying vec3 vObjNormal;
   varying vec3 vViewNormal;
@@ -208,14 +237,26 @@ const sunFragment = /* glsl */ `
     float large = fbm3(nrm * uLargeScale + flow);
     float small = fbm3(nrm * uSmallScale - flow * uSmallFlowFactor);
 
-    float spotBase = fbm3(nrm * uSpotScale);
+    float tnorm = mod(uTime, uLoopPeriod) / uLoopPeriod;
+
+    // spots drift by sliding the spot field around a circle of uSpotFlowRadius
+    // (noise-space units), back where they started every uLoopPeriod
+    float drift = 6.28318530718 * tnorm;
+    vec3 spotOffset = uSpotFlowRadius * vec3(cos(drift), sin(drift), 0.5 * sin(2.0 * drift));
+
+    float spotBase = fbm3(nrm * uSpotScale + spotOffset);
     float phase = fract(spotBase * uSpotPhaseScale);
 
-    float tnorm = mod(uTime, uLoopPeriod) / uLoopPeriod;
     float pulse = 0.5 + 0.5 * sin(6.28318530718 * (tnorm + phase));
 
     float spotMod = spotBase + uSpotPulse * (pulse - 0.5);
-    float spotMask = smoothstep(uSpotThresholdLow, uSpotThresholdHigh, spotMod);
+    float spotMask = smoothstep(uSpotThresholdLow, max(uSpotThresholdHigh, uSpotThresholdLow + 1e-3), spotMod);
+
+    if (uSpotDebug) {
+      // spot field in gray, the thresholded mask in red
+      gl_FragColor = vec4(mix(vec3(spotMod), vec3(1.0, 0.1, 0.05), spotMask), 1.0);
+      return;
+    }
 
     float surface = 0.65 * large + 0.35 * small;
 
@@ -223,10 +264,13 @@ const sunFragment = /* glsl */ `
     heat = pow(heat, 1.6);
     heat = max(heat, mix(heat, uSpotIntensity, spotMask));
 
-    vec3 color = mix(uBaseColor, uHotColor, heat);
+    vec3 baseColor = mix(mix(uBaseColor, uAgeBaseColor, uAgeMix), uFlashColor, uFlash);
+    vec3 hotColor = mix(mix(uHotColor, uAgeHotColor, uAgeMix), uFlashColor, uFlash);
+
+    vec3 color = mix(baseColor, hotColor, heat);
 
     float rim = pow(1.0 - clamp(abs(vViewNormal.z), 0.0, 1.0), 5.0);
-    color += uHotColor * rim * 0.55;
+    color += hotColor * rim * 0.55;
 
     color *= 0.96 + 0.04 * sin(uTime * 2.2);
 
@@ -264,6 +308,12 @@ const sunMaterial = new THREE.ShaderMaterial({
     uLoopPeriod: { value: 12.0 },
     uSpotPulse: { value: 0.5 },
     uSpotPhaseScale: { value: 1.2 },
+    uSpotDebug: { value: false },
+    uAgeMix: { value: 0 },
+    uAgeBaseColor: { value: new THREE.Color(solarConfig.loop.colors.ageBase) },
+    uAgeHotColor: { value: new THREE.Color(solarConfig.loop.colors.ageHot) },
+    uFlash: { value: 0 },
+    uFlashColor: { value: new THREE.Color(solarConfig.loop.colors.flash) },
   },
 });
 
@@ -294,6 +344,7 @@ const haloFragment = /* glsl */ `
   uniform float uIntensity;
   uniform float uPower;
   uniform float uAlpha;
+  uniform float uLoopBoost; // time loop multiplier on uIntensity
 
   varying vec3 vViewNormal;
 
@@ -303,7 +354,7 @@ const haloFragment = /* glsl */ `
     float a = inner * uAlpha;
     a *= smoothstep(0.0, 1.0, facing);
 
-    vec3 col = uGlowColor * (uIntensity * a);
+    vec3 col = uGlowColor * (uIntensity * uLoopBoost * a);
     gl_FragColor = vec4(col, a);
   }
 `;
@@ -321,13 +372,17 @@ const haloMat = new THREE.ShaderMaterial({
     uIntensity: { value: 8.0 },
     uPower: { value: 2.2 },
     uAlpha: { value: 0.28 },
+    uLoopBoost: { value: 1.0 },
   },
 });
 
 const halo = new THREE.Mesh(haloGeo, haloMat);
 halo.renderOrder = -1;
-scene.add(halo);
-halo.position.copy(sphere.position);
+// Child of the sun so it follows its position, rotation and loop-driven radius.
+sphere.add(halo);
+
+// Supernova shockwave shell (hidden until the end of the loop)
+const supernova = createSupernovaView(scene, solarConfig.loop.supernova.color);
 
 // ----------------------
 // ✅ NEW (11): Solar system sim + basic planet meshes
@@ -344,12 +399,371 @@ halo.position.copy(sphere.position);
  * The view module creates basic colored spheres for these bodies.
  * The "Sun" in the view is your existing `sphere`.
  */
-const sim = createSolarSim(solarConfig);
+// The loaded system (runtime config from the system loader). Starts as the
+// bundled one; loadSystemConfig() swaps it and rebuilds everything below.
+// A copy, since the body editor changes it in place.
+let config = structuredClone(solarConfig);
+
+// Both backends share update(dt)/getState(), so the rest of the app
+// doesn't care which one is running. Switchable from the GUI.
+const simModes = {
+  "Option A (analytic)": createSolarSim,
+  "N-body (gravity)": createNBodySim,
+};
+const simParams = { mode: "Option A (analytic)", energyDrift: "n/a", unbound: "n/a", system: config.name };
+let sim = createSolarSim(config);
+
+// Swap backends, seeding the new one from the current sim time (and pause state).
+function setSimMode(mode) {
+  const wasPaused = sim.isPaused();
+  sim = simModes[mode](config, { t0: sim.getTime() });
+  if (wasPaused) sim.pause();
+  simParams.mode = mode;
+}
+
+// Time loop readouts for the GUI
+const loopParams = { countdown: formatLoopTime(config.loop.length), phase: "stable", sand: "0%" };
+const LOOP_SKIP_LEAD = 10; // "skip to end" lands this many seconds before the collapse
+
+// Reference frame the view is drawn in (GUI). See sim/referenceFrames.js.
+const frameTypes = {
+  "Sun-fixed": "inertial",
+  "Body-centric": "body",
+  "Co-rotating": "rotating",
+};
+const frameParams = { type: "Sun-fixed", center: "TimberHearth", reference: "Sun" };
+
+function currentFrame() {
+  return {
+    type: frameTypes[frameParams.type],
+    center: frameParams.center,
+    reference: frameParams.reference,
+  };
+}
+
+// Time controls (GUI): scrubber position mirrors sim time
+const timeParams = { paused: false, time: 0, timeScale: config.timeScale };
+
+// Camera focus + GUI trail toggles outlive system rebuilds
+const cameraParams = { focus: "System" };
+const systemHome = { target: controls.target.clone(), distance: camera.position.distanceTo(controls.target) };
+const trailSettings = {
+  trailLength: config.trails.length,
+  horizon: config.trails.predict.horizon,
+  showTrails: true,
+  showPredictions: true,
+};
+
+// Event timeline filters (GUI), one toggle per event type
+const eventParams = Object.fromEntries(EVENT_TYPES.map((type) => [type, true]));
+
+// Capture settings (GUI). The camera path is JSON in game meters (see
+// src/view/cameraPath.js), built from keyframes or loaded from a file.
+const captureParams = {
+  width: 1920,
+  height: 1080,
+  fps: 30,
+  duration: 10,
+  format: "png",
+  camera: "Interactive",
+  keySpacing: 3,
+  keys: 0,
+  status: "idle",
+};
+let cameraPathJson = { keyframes: [] };
+
+// Ghost paths sample their own analytic sim, so the live one is never disturbed.
+// (In N-body mode this shows the Keplerian prediction.)
+const PREDICT_INTERVAL = 0.2; // wall seconds between ghost path refreshes
+let predictTimer = 0;
+
+// Everything built from `config`; see buildSystem() / teardownSystem().
+let solarView, cameraFocus, labelsView, hudView, trailsView, predictSim;
+let crustPlan, crustSurface, blackHole, quantumBodies, isObserved, eventsTimeline;
+
+// Eclipses, conjunctions etc. are found off the main thread; a reply for a
+// system that has since been replaced is dropped.
+const eventsWorker = new Worker(new URL("./sim/eventsWorker.js", import.meta.url), { type: "module" });
+let eventsScan = 0;
+eventsWorker.onmessage = ({ data }) => {
+  if (data.id !== eventsScan) return;
+  if (data.error) console.error(`Event scan failed: ${data.error}`);
+  eventsTimeline.setEvents(data.events ?? []);
+};
+
+// Clicking an event: jump there in time and look at it
+function jumpToEvent(event) {
+  sim.setTime(event.t);
+  timeParams.time = event.t;
+  if (event.focus) cameraFocus.focus(event.focus);
+  else cameraFocus.systemView();
+  eventsTimeline.select(event);
+}
+
+function buildSystem() {
+  // Build planet meshes and attach your existing sun mesh.
+  // NOTE: The view config also contains a "TwinsBarycenter" body which is NOT visible;
+  //       createSolarView automatically skips barycenters.
+  solarView = createSolarView(scene, config, { sunMesh: sphere });
+
+  // Brittle Hollow: crust fragments fall into the black hole over the loop.
+  // The plan is fixed up front, so scrubbing replays the same collapse.
+  if (config.crust) {
+    crustPlan = createCrustPlan(config, config.loop.phases.collapse);
+    crustSurface = config.bodies[config.crust.body].radius;
+    blackHole = createBlackHoleLens(solarView.blackHoleCore, config.crust);
+  } else {
+    crustPlan = null;
+    blackHole = null;
+  }
+
+  // Click a body (or "[" / "]") to fly to it and follow it; Escape for the system view.
+  cameraFocus = createCameraFocus(camera, controls, renderer.domElement, solarView, config, {
+    systemTarget: systemHome.target,
+    systemDistance: systemHome.distance,
+  });
+
+  // Name labels for every body + telemetry for the focused one
+  labelsView = createLabelsView(document.body, camera, solarView, config);
+  hudView = createHudView(document.body, config);
+
+  cameraFocus.onChange((name) => {
+    cameraParams.focus = name ?? "System";
+    labelsView.setSelected(name);
+  });
+  cameraParams.focus = "System";
+
+  // Trails + ghost paths, colored like their planets.
+  trailsView = createTrailsView(scene, {
+    trailBodies: config.trails.bodies,
+    predictBodies: config.trails.predict.bodies,
+    trailSamples: config.trails.samples,
+    predictSamples: config.trails.predict.samples,
+    settings: trailSettings,
+    colors: Object.fromEntries(
+      Object.entries(solarView.meshes)
+        .filter(([, mesh]) => mesh.material?.color)
+        .map(([name, mesh]) => [name, mesh.material.color])
+    ),
+  });
+
+  predictSim = createSolarSim(config);
+  predictTimer = 0;
+
+  // Quantum bodies only move while unobserved; the view reports what the camera sees.
+  quantumBodies = Object.keys(config.bodies).filter((name) => config.bodies[name].type === "quantum");
+  isObserved = createObserver(camera, solarView, config);
+
+  // Timeline of the loop's events; filled in when the scan comes back
+  eventsTimeline = createEventsTimeline(document.body, config, { onSelect: jumpToEvent });
+  for (const type of EVENT_TYPES) eventsTimeline.setVisible(type, eventParams[type]);
+  scanEvents();
+}
+
+function scanEvents() {
+  eventsTimeline.setEvents(null);
+  eventsWorker.postMessage({ id: ++eventsScan, config });
+}
+
+function teardownSystem() {
+  cameraFocus.dispose();
+  labelsView.dispose();
+  hudView.dispose();
+  trailsView.dispose();
+  blackHole?.dispose();
+  eventsTimeline.dispose();
+  solarView.dispose();
+}
+
+buildSystem();
+
+function predictedPositionsAt(t, frame) {
+  predictSim.setTime(t);
+  return applyReferenceFrame(predictSim.getState(), frame).positions;
+}
+
+// Sun size and loop colors come from the system too
+function applySunLook() {
+  const r = config.bodies.Sun.radius;
+  sphere.geometry.dispose();
+  sphere.geometry = new THREE.SphereGeometry(r, 16, 16);
+  halo.geometry.dispose();
+  halo.geometry = new THREE.SphereGeometry(r * 1.2, 60, 60);
+  sunMaterial.uniforms.uAgeBaseColor.value.set(config.loop.colors.ageBase);
+  sunMaterial.uniforms.uAgeHotColor.value.set(config.loop.colors.ageHot);
+  sunMaterial.uniforms.uFlashColor.value.set(config.loop.colors.flash);
+  supernova.mesh.material.uniforms.uColor.value.set(config.loop.supernova.color);
+}
+
+// Set by the GUI (if it loads): refresh body lists, timeline range etc.
+let refreshSystemGui = () => {};
+
+/**
+ * Replace the running system with a new runtime config (from loadSystem()).
+ * Tears down the views and sims and builds them again; sim mode, pause
+ * state and trail toggles carry over, the clock restarts at t = 0
+ * (or options.t0).
+ */
+function loadSystemConfig(next, options = {}) {
+  teardownSystem();
+  config = next;
+
+  const wasPaused = sim.isPaused();
+  sim = simModes[simParams.mode](config, { t0: options.t0 ?? 0 });
+  if (wasPaused) sim.pause();
+  simParams.system = config.name;
+  timeParams.timeScale = config.timeScale;
+
+  // a frame centered on a body this system doesn't have falls back to the Sun
+  if (!config.bodies[frameParams.center]) frameParams.center = "Sun";
+  if (!config.bodies[frameParams.reference]) frameParams.reference = "Sun";
+
+  applySunLook();
+  buildSystem();
+  refreshSystemGui();
+}
+
+/**
+ * Live edit of config.bodies[name] (body editor): the analytic sim reads
+ * orbits every step, but N-body and the crust plan are seeded from them,
+ * so sims are recreated at the current time; the view rebuilds just this
+ * body's mesh and ring.
+ */
+function applyBodyEdit(name) {
+  setSimMode(simParams.mode);
+  predictSim = createSolarSim(config);
+  if (crustPlan) {
+    crustPlan = createCrustPlan(config, config.loop.phases.collapse);
+    crustSurface = config.bodies[config.crust.body].radius;
+  }
+  solarView.updateBody(name);
+  const color = solarView.meshes[name]?.material?.color;
+  if (color) trailsView.setColor(name, color);
+  trailsView.reset(name);
+}
+
+/**
+ * Add/remove bodies: edit the system as a file (game meters), then load it
+ * again at the current time, so the loader checks every cross-reference.
+ * edit(file) changes the file in place; problems are listed in an alert.
+ */
+function editSystemFile(edit) {
+  try {
+    const file = saveSystem(config);
+    edit(file);
+    loadSystemConfig(loadSystem(file), { t0: sim.getTime() });
+  } catch (err) {
+    console.error(err);
+    alert(err.message);
+  }
+}
+
+// Save a Blob through a temporary download link
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Render captureParams.duration seconds from the current sim time and
+// download the result
+async function startCapture() {
+  const { width, height, fps, duration, format } = captureParams;
+  let path = null;
+  try {
+    if (captureParams.camera === "Camera path") path = parseCameraPath(cameraPathJson, config);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  const bodyPosition = (name) => solarView.meshes[name].position;
 
-// Build planet meshes and attach your existing sun mesh.
-// NOTE: The view config also contains a "TwinsBarycenter" body which is NOT visible;
-//       createSolarView automatically skips barycenters.
-const solarView = createSolarView(scene, solarConfig, { sunMesh: sphere });
+  // Same sim time, same settings, same frames: the Sun's surface clock
+  // starts from the sim time instead of the session's, and trails and
+  // ghost paths start empty
+  const sessionSunTime = simClock.elapsed(sim);
+  simClock.setElapsed(sim.getTime());
+  trailsView.reset();
+  predictTimer = 0;
+
+  let result;
+  try {
+    result = await capture.run({
+      width,
+      height,
+      fps,
+      format,
+      frames: Math.max(1, Math.round(duration * fps)),
+      frame: (dt, time) => {
+        const placeCamera = path && (() => {
+          const pose = cameraPose(path, time, bodyPosition, config.scale);
+          camera.position.copy(pose.position);
+          controls.target.copy(pose.target);
+          camera.lookAt(pose.target);
+        });
+        renderFrame(dt, { placeCamera, exact: true });
+        timeParams.time = sim.getTime();
+      },
+      onProgress: (done, frames) => {
+        captureParams.status = `frame ${done}/${frames}`;
+      },
+    });
+  } catch (err) {
+    alert(`Capture failed: ${err.message}`);
+  }
+  simClock.setElapsed(sessionSunTime);
+  clock.getDelta(); // don't replay the capture's wall time
+  fitToWindow();
+  captureParams.status = result ? "done" : "idle";
+  if (result) downloadBlob(result.blob, `capture-${width}x${height}.${result.extension}`);
+}
+
+// Load system files picked or dropped by the user: one system JSON, or any
+// number of New Horizons planet configs (imported together; fields the
+// importer skips are listed). Problems are listed in an alert.
+function loadSystemFiles(files) {
+  const names = files.map((f) => f.name).join(", ");
+  Promise.all(files.map((f) => f.text())).then((texts) => {
+    try {
+      const jsons = texts.map((text, i) => {
+        try {
+          return JSON.parse(text);
+        } catch (err) {
+          throw new Error(`${files[i].name} is not valid JSON: ${err.message}`);
+        }
+      });
+
+      if (jsons.every(isNewHorizonsConfig)) {
+        const { system, unsupported } = importNewHorizons(jsons, bundledSystem);
+        loadSystemConfig(loadSystem(system));
+        if (unsupported.length > 0) {
+          console.warn("New Horizons fields not imported:", unsupported);
+          alert(`Imported ${names}. Not supported (ignored):\n- ${unsupported.join("\n- ")}`);
+        }
+      } else if (jsons.length === 1) {
+        loadSystemConfig(loadSystem(jsons[0]));
+      } else {
+        throw new Error("Drop one system JSON, or only New Horizons planet configs");
+      }
+    } catch (err) {
+      console.error(err);
+      alert(`Could not load ${names}:\n${err.message}`);
+    }
+  });
+}
+
+// Drag-and-drop system / New Horizons JSON anywhere on the page
+window.addEventListener("dragover", (e) => e.preventDefault());
+window.addEventListener("drop", (e) => {
+  e.preventDefault();
+  const files = [...(e.dataTransfer?.files ?? [])];
+  if (files.length > 0) loadSystemFiles(files);
+});
 
 // Optional: simple helper axes for orientation (comment out if you don’t want it)
 // scene.add(new THREE.AxesHelper(200));
@@ -357,7 +771,7 @@ const solarView = createSolarView(scene, solarConfig, { sunMesh: sphere });
 // ----------------------
 // 8) Resize handling
 // ----------------------
-window.addEventListener("resize", () => {
+function fitToWindow() {
   const width = window.innerWidth;
   const height = window.innerHeight;
 
@@ -366,6 +780,10 @@ window.addEventListener("resize", () => {
 
   renderer.setSize(width, height);
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+}
+// a capture renders at its own size; it refits when it's done
+window.addEventListener("resize", () => {
+  if (!capture.active) fitToWindow();
 });
 
 // ----------------------
@@ -373,27 +791,126 @@ window.addEventListener("resize", () => {
 // ----------------------
 const clock = new THREE.Clock();
 
+// The sim advances in fixed steps (src/sim/simClock.js) and frames are drawn
+// between the last two; the Sun's surface runs on the same clock, so
+// pausing the sim freezes it too.
+const simClock = createSimClock();
+
+// Captures (src/view/capture.js) step renderFrame() themselves at a fixed
+// dt; the wall clock only drives the interactive view.
+const capture = createCapture(renderer, camera);
+
 function animate() {
   requestAnimationFrame(animate);
+  if (capture.active) return;
+  renderFrame(clock.getDelta());
+}
 
-  const dt = clock.getDelta();
-
+/**
+ * Advance everything by dt wall seconds and render one frame.
+ * options:
+ * - placeCamera: positions the camera instead of the focus/orbit
+ *   controls, once the bodies are where they'll be drawn
+ * - exact: step the sim by exactly dt instead of the fixed-step clock
+ *   (captures, whose dt is already fixed)
+ */
+function renderFrame(dt, { placeCamera, exact = false } = {}) {
   // ✅ NEW: advance the orbit sim (Option A)
-  sim.update(dt);
+  let state = exact ? simClock.stepExact(sim, dt) : simClock.advance(sim, dt);
+
+  // The loop wraps: past the end -> t=0, reversed past the start -> end of loop
+  const loopLength = config.loop.length;
+  if (sim.getTime() >= loopLength) {
+    sim.setTime(0);
+    state = simClock.reset(sim);
+  } else if (sim.getTime() < 0) {
+    sim.setTime(loopLength - 1e-3);
+    state = simClock.reset(sim);
+  }
+  timeParams.time = sim.getTime();
+  const sunTime = simClock.elapsed(sim);
+  sunMaterial.uniforms.uTime.value = sunTime;
+
+  // N-body only: report energy drift and escapes so the two modes can be compared
+  const diagnostics = sim.getDiagnostics?.();
+  simParams.energyDrift = diagnostics ? diagnostics.energyDrift.toExponential(2) : "n/a";
+  simParams.unbound = diagnostics ? diagnostics.unbound.join(", ") || "none" : "n/a";
+
+  // ✅ NEW: apply sim positions to meshes, through the selected reference frame
+  const frame = currentFrame();
+  const framed = applyReferenceFrame(state, frame);
+  const { positions } = framed;
+  solarView.syncParents(state.bodies);
+  if (config.sand) {
+    const sand = sandStateAt(config.sand, state.t);
+    solarView.applySand(sand, state.t);
+    loopParams.sand = `${(sand.transferred * 100).toFixed(1)}%`;
+  } else {
+    loopParams.sand = "n/a";
+  }
+  solarView.updateShaders(state.t);
+  if (crustPlan) solarView.applyCrust(crustStateAt(crustPlan, config.crust, crustSurface, state.t));
+  solarView.applyPositions(positions, framed);
+
+  // Trails record what the view shows (so body-centric frames show epicycles)
+  trailsView.update(state.t, positions);
+  predictTimer -= dt;
+  if (predictTimer <= 0) {
+    predictTimer = PREDICT_INTERVAL;
+    // predict from where the quantum bodies are now, not where they started
+    for (const name of quantumBodies) predictSim.setHost(name, state.bodies[name].parent);
+    trailsView.updatePrediction(state.t, (t) => predictedPositionsAt(t, frame));
+  }
+
+  // the light lives at the Sun, wherever the frame puts it
+  sunLight.position.set(positions.Sun.x, positions.Sun.y, positions.Sun.z);
+
+  // Time loop: Sun lifecycle, supernova, then reset to t=0
+  const loop = loopStateAt(config.loop, state.t);
+  sphere.scale.setScalar(loop.sunRadius);
+  sunMaterial.uniforms.uAgeMix.value = loop.ageMix;
+  sunMaterial.uniforms.uFlash.value = loop.flash;
+  halo.material.uniforms.uLoopBoost.value = loop.haloBoost;
+  sunLight.intensity = sunLightIntensity * loop.lightBoost;
+  supernova.mesh.position.set(positions.Sun.x, positions.Sun.y, positions.Sun.z);
+  supernova.update(loop.shockwaveRadius, loop.shockwaveStrength);
+
+  // planets inside the shockwave are gone
+  for (const [name, mesh] of Object.entries(solarView.meshes)) {
+    if (name === "Sun" || !config.bodies[name]) continue;
+    mesh.visible = mesh.position.distanceTo(sphere.position) > loop.shockwaveRadius;
+  }
 
-  // ✅ NEW: apply sim positions to meshes
-  const { positions } = sim.getState();
-  solarView.applyPositions(positions);
+  loopParams.countdown = formatLoopTime(loop.remaining);
+  loopParams.phase = loop.phase;
 
-  // ✅ Keep halo centered on the sun position (in case you ever move the sun)
-  halo.position.set(positions.Sun.x, positions.Sun.y, positions.Sun.z);
+  // Keep your existing sun rotation aesthetic (the halo is a child, so it follows)
+  sphere.rotation.y = sunTime * 0.3;
 
-  // Keep your existing sun rotation aesthetic
-  sphere.rotation.y += dt * 0.3;
-  halo.rotation.copy(sphere.rotation);
+  // Camera follow runs after positions/scales are final for this frame
+  if (placeCamera) {
+    placeCamera();
+  } else {
+    cameraFocus.update(dt);
+    controls.update();
+  }
+  if (blackHole) blackHole.render(renderer, scene, camera); // scene + lensing pass
+  else renderer.render(scene, camera);
+
+  // Report what was just on screen; a quantum body that jumps shows up next frame
+  for (const name of quantumBodies) {
+    if (sim.setObserved(name, isObserved(name))) trailsView.reset(name);
+  }
 
-  controls.update();
-  renderer.render(scene, camera);
+  // DOM overlays track the camera as rendered
+  labelsView.update();
+  eventsTimeline.update(state.t);
+  const focused = cameraFocus.getFocus();
+  hudView.update(
+    focused,
+    focused && bodyTelemetry(state, focused, config.scale),
+    focused ? camera.position.distanceTo(solarView.meshes[focused].position) / config.scale : 0
+  );
 }
 
 animate();
@@ -401,80 +918,18 @@ animate();
 // ----------------------
 // 10) GUI for live tuning + copy-to-clipboard
 // ----------------------
-const bundledDefaults = {
-  uVibrance: 4,
-  uSaturation: 1.35,
-  uBaseColor: "#ff5b14",
-  uHotColor: "#ffc24a",
-  noise: {
-    largeScale: 3.87,
-    smallScale: 14.2,
-    smallFlowFactor: 1.96,
-    fbmAmp: 0.42,
-    fbmGain: 0.48,
-    fbmLacunarity: 2,
-  },
-  spots: {
-    spotScale: 1,
-    spotIntensity: 0,
-    spotThresholdLow: 0,
-    spotThresholdHigh: 0,
-    spotFlowRadius: 0,
-    loopPeriod: 60,
-    spotPulse: 0,
-    spotPhaseScale: 0.1,
-  },
-  halo: {
-    intensity: 8,
-    alpha: 0.4,
-    power: 2.2,
-    size: 1.1,
-  },
-  toneMappingExposure: 1,
-};
+// Sun look presets (src/view/sunPresets.js): the bundled look, or the
+// preset picked last time
+const sunPresets = createSunPresets({ sunMaterial, haloMaterial: haloMat, halo, renderer });
+const BUNDLED_PRESET = "Bundled default";
 
-applyConfigFromObject(bundledDefaults);
-
-function applyConfigFromObject(j) {
+sunPresets.apply(DEFAULT_PRESET);
+if (sunPresets.active) {
   try {
-    if (j.uVibrance !== undefined) sunMaterial.uniforms.uVibrance.value = j.uVibrance;
-    if (j.uSaturation !== undefined) sunMaterial.uniforms.uSaturation.value = j.uSaturation;
-    if (j.uBaseColor) sunMaterial.uniforms.uBaseColor.value.set(j.uBaseColor);
-    if (j.uHotColor) sunMaterial.uniforms.uHotColor.value.set(j.uHotColor);
-
-    if (j.noise) {
-      const n = j.noise;
-      if (n.largeScale !== undefined) sunMaterial.uniforms.uLargeScale.value = n.largeScale;
-      if (n.smallScale !== undefined) sunMaterial.uniforms.uSmallScale.value = n.smallScale;
-      if (n.smallFlowFactor !== undefined) sunMaterial.uniforms.uSmallFlowFactor.value = n.smallFlowFactor;
-      if (n.fbmAmp !== undefined) sunMaterial.uniforms.uFbmAmp.value = n.fbmAmp;
-      if (n.fbmGain !== undefined) sunMaterial.uniforms.uFbmGain.value = n.fbmGain;
-      if (n.fbmLacunarity !== undefined) sunMaterial.uniforms.uFbmLacunarity.value = n.fbmLacunarity;
-    }
-
-    if (j.spots) {
-      const s = j.spots;
-      if (s.spotScale !== undefined) sunMaterial.uniforms.uSpotScale.value = s.spotScale;
-      if (s.spotIntensity !== undefined) sunMaterial.uniforms.uSpotIntensity.value = s.spotIntensity;
-      if (s.spotThresholdLow !== undefined) sunMaterial.uniforms.uSpotThresholdLow.value = s.spotThresholdLow;
-      if (s.spotThresholdHigh !== undefined) sunMaterial.uniforms.uSpotThresholdHigh.value = s.spotThresholdHigh;
-      if (s.spotFlowRadius !== undefined) sunMaterial.uniforms.uSpotFlowRadius.value = s.spotFlowRadius;
-      if (s.loopPeriod !== undefined) sunMaterial.uniforms.uLoopPeriod.value = s.loopPeriod;
-      if (s.spotPulse !== undefined) sunMaterial.uniforms.uSpotPulse.value = s.spotPulse;
-      if (s.spotPhaseScale !== undefined) sunMaterial.uniforms.uSpotPhaseScale.value = s.spotPhaseScale;
-    }
-
-    if (j.halo) {
-      const h = j.halo;
-      if (h.intensity !== undefined) halo.material.uniforms.uIntensity.value = h.intensity;
-      if (h.alpha !== undefined) halo.material.uniforms.uAlpha.value = h.alpha;
-      if (h.power !== undefined) halo.material.uniforms.uPower.value = h.power;
-      if (h.size !== undefined) halo.scale.setScalar(h.size);
-    }
-
-    if (j.toneMappingExposure !== undefined) renderer.toneMappingExposure = j.toneMappingExposure;
+    sunPresets.apply(sunPresets.get(sunPresets.active));
   } catch (err) {
-    console.warn("Failed to apply config object", err);
+    console.warn(`Could not apply saved sun preset '${sunPresets.active}'`, err);
+    sunPresets.setActive(null);
   }
 }
 
@@ -486,6 +941,7 @@ try {
     uSaturation: sunMaterial.uniforms.uSaturation.value,
     uBaseColor: "#" + sunMaterial.uniforms.uBaseColor.value.getHexString(),
     uHotColor: "#" + sunMaterial.uniforms.uHotColor.value.getHexString(),
+    haloColor: "#" + halo.material.uniforms.uGlowColor.value.getHexString(),
     haloIntensity: halo.material.uniforms.uIntensity.value,
     haloAlpha: halo.material.uniforms.uAlpha.value,
     haloPower: halo.material.uniforms.uPower.value,
@@ -493,9 +949,19 @@ try {
     toneMappingExposure: renderer.toneMappingExposure || 1.0,
     uLargeScale: sunMaterial.uniforms.uLargeScale.value,
     uSmallScale: sunMaterial.uniforms.uSmallScale.value,
+    uSmallFlowFactor: sunMaterial.uniforms.uSmallFlowFactor.value,
     uFbmAmp: sunMaterial.uniforms.uFbmAmp.value,
     uFbmGain: sunMaterial.uniforms.uFbmGain.value,
     uFbmLacunarity: sunMaterial.uniforms.uFbmLacunarity.value,
+    uSpotScale: sunMaterial.uniforms.uSpotScale.value,
+    uSpotIntensity: sunMaterial.uniforms.uSpotIntensity.value,
+    uSpotThresholdLow: sunMaterial.uniforms.uSpotThresholdLow.value,
+    uSpotThresholdHigh: sunMaterial.uniforms.uSpotThresholdHigh.value,
+    uSpotFlowRadius: sunMaterial.uniforms.uSpotFlowRadius.value,
+    uLoopPeriod: sunMaterial.uniforms.uLoopPeriod.value,
+    uSpotPulse: sunMaterial.uniforms.uSpotPulse.value,
+    uSpotPhaseScale: sunMaterial.uniforms.uSpotPhaseScale.value,
+    spotDebug: false,
   };
 
   const sunFolder = gui.addFolder("Sun");
@@ -519,6 +985,9 @@ try {
   noiseFolder.add(params, "uSmallScale", 2.0, 30.0, 0.1).name("Small scale").onChange((v) => {
     sunMaterial.uniforms.uSmallScale.value = v;
   });
+  noiseFolder.add(params, "uSmallFlowFactor", 0, 4, 0.01).name("Small flow").onChange((v) => {
+    sunMaterial.uniforms.uSmallFlowFactor.value = v;
+  });
   noiseFolder.add(params, "uFbmAmp", 0.1, 1.2, 0.01).name("FBM amp").onChange((v) => {
     sunMaterial.uniforms.uFbmAmp.value = v;
   });
@@ -529,9 +998,42 @@ try {
     sunMaterial.uniforms.uFbmLacunarity.value = v;
   });
   noiseFolder.open();
+
+  const spotsFolder = sunFolder.addFolder("Spots");
+  spotsFolder.add(params, "uSpotScale", 0.5, 12, 0.01).name("Scale").onChange((v) => {
+    sunMaterial.uniforms.uSpotScale.value = v;
+  });
+  spotsFolder.add(params, "uSpotIntensity", 0, 1.5, 0.01).name("Intensity").onChange((v) => {
+    sunMaterial.uniforms.uSpotIntensity.value = v;
+  });
+  spotsFolder.add(params, "uSpotThresholdLow", 0, 1, 0.01).name("Threshold low").onChange((v) => {
+    sunMaterial.uniforms.uSpotThresholdLow.value = v;
+  });
+  spotsFolder.add(params, "uSpotThresholdHigh", 0, 1, 0.01).name("Threshold high").onChange((v) => {
+    sunMaterial.uniforms.uSpotThresholdHigh.value = v;
+  });
+  spotsFolder.add(params, "uSpotFlowRadius", 0, 4, 0.01).name("Drift radius").onChange((v) => {
+    sunMaterial.uniforms.uSpotFlowRadius.value = v;
+  });
+  spotsFolder.add(params, "uLoopPeriod", 1, 120, 0.5).name("Period (s)").onChange((v) => {
+    sunMaterial.uniforms.uLoopPeriod.value = v;
+  });
+  spotsFolder.add(params, "uSpotPulse", 0, 1, 0.01).name("Pulse").onChange((v) => {
+    sunMaterial.uniforms.uSpotPulse.value = v;
+  });
+  spotsFolder.add(params, "uSpotPhaseScale", 0, 4, 0.01).name("Phase scale").onChange((v) => {
+    sunMaterial.uniforms.uSpotPhaseScale.value = v;
+  });
+  // Debug view, not part of presets: gray spot field, red where the thresholds let spots through
+  spotsFolder.add(params, "spotDebug").name("Show spot mask").onChange((v) => {
+    sunMaterial.uniforms.uSpotDebug.value = v;
+  });
   sunFolder.open();
 
   const haloFolder = gui.addFolder("Halo");
+  haloFolder.addColor(params, "haloColor").name("Color").onChange((c) => {
+    halo.material.uniforms.uGlowColor.value.set(c);
+  });
   haloFolder.add(params, "haloIntensity", 0, 20, 0.1).name("Intensity").onChange((v) => {
     halo.material.uniforms.uIntensity.value = v;
   });
@@ -546,34 +1048,382 @@ try {
   });
   haloFolder.open();
 
+  const simFolder = gui.addFolder("Simulation");
+  simFolder.add(simParams, "mode", Object.keys(simModes)).name("Mode").onChange(setSimMode);
+  simFolder.add(simParams, "energyDrift").name("Energy drift").disable().listen();
+  simFolder.add(simParams, "unbound").name("Escaped bodies").disable().listen();
+  simFolder.add(simParams, "system").name("System").disable().listen();
+  // Load a system JSON or New Horizons planet configs (or drop them on the page);
+  // format: src/systems/system.schema.json
+  const filePicker = document.createElement("input");
+  filePicker.type = "file";
+  filePicker.accept = ".json,application/json";
+  filePicker.multiple = true;
+  filePicker.addEventListener("change", () => {
+    if (filePicker.files.length > 0) loadSystemFiles([...filePicker.files]);
+    filePicker.value = "";
+  });
+  simFolder.add({ load: () => filePicker.click() }, "load").name("Load system JSON…");
+  simFolder.add({ reset: () => loadSystemConfig(structuredClone(solarConfig)) }, "reset").name("Back to Outer Wilds");
+  simFolder.open();
+
+  const loopFolder = gui.addFolder("Time loop");
+  loopFolder.add(loopParams, "countdown").name("Time left").disable().listen();
+  loopFolder.add(loopParams, "phase").name("Phase").disable().listen();
+  const sandLabel = () => (config.sand ? `Sand to ${bodyLabel(config, config.sand.to)}` : "Sand (none)");
+  const sandCtrl = loopFolder.add(loopParams, "sand").name(sandLabel()).disable().listen();
+  loopFolder.add(
+    {
+      skipToEnd: () => sim.setTime(config.loop.phases.collapse - LOOP_SKIP_LEAD),
+    },
+    "skipToEnd"
+  ).name("Skip to end of loop");
+  loopFolder.open();
+
+  // Body dropdowns are the last controls in their folders: options() rebuilds
+  // a dropdown at the end of its folder, so refreshing them keeps the order.
+  const focusBody = (v) => {
+    if (v === "System") cameraFocus.systemView();
+    else cameraFocus.focus(v);
+  };
+  const resetTrails = () => trailsView.reset();
+
+  const cameraFolder = gui.addFolder("Camera");
+  cameraFolder.add({ systemView: () => cameraFocus.systemView() }, "systemView").name("Return to system view");
+  let focusCtrl = cameraFolder.add(cameraParams, "focus", ["System", ...cameraFocus.bodies])
+    .name("Focus ([ / ])").onChange(focusBody).listen();
+  cameraFolder.open();
+
+  const frameFolder = gui.addFolder("Reference frame");
+  // trail history is frame-specific, so any change starts them over
+  frameFolder.add(frameParams, "type", Object.keys(frameTypes)).name("Frame").onChange(resetTrails);
+  let centerCtrl = frameFolder.add(frameParams, "center", Object.keys(config.bodies))
+    .name("Center body").onChange(resetTrails).listen();
+  let referenceCtrl = frameFolder.add(frameParams, "reference", Object.keys(config.bodies))
+    .name("Co-rotate with").onChange(resetTrails).listen();
+  frameFolder.open();
+
+  const eventsFolder = gui.addFolder("Events");
+  const eventNames = {
+    eclipse: "Eclipses",
+    transit: "Transits",
+    conjunction: "Conjunctions",
+    opposition: "Oppositions",
+    approach: "Close approaches",
+  };
+  for (const type of EVENT_TYPES) {
+    eventsFolder.add(eventParams, type).name(eventNames[type]).onChange((v) => eventsTimeline.setVisible(type, v));
+  }
+  eventsFolder.add(
+    {
+      next: () => {
+        const now = sim.getTime();
+        const next = eventsTimeline.visibleEvents().find((e) => e.t > now + 1e-3);
+        if (next) jumpToEvent(next);
+      },
+    },
+    "next"
+  ).name("Jump to next event");
+  eventsFolder.close();
+
+  const trailsFolder = gui.addFolder("Trails");
+  trailsFolder.add(trailSettings, "showTrails").name("Show trails");
+  trailsFolder.add(trailSettings, "trailLength", 5, 300, 1).name("Trail length (s)");
+  trailsFolder.add(trailSettings, "showPredictions").name("Show predictions");
+  trailsFolder.add(trailSettings, "horizon", 5, 300, 1).name("Horizon (s)");
+  trailsFolder.close();
+
+  // Scrubbing jumps the whole system; Option A positions are a pure function of t.
+  const timeFolder = gui.addFolder("Time");
+  timeFolder.add(timeParams, "paused").name("Paused").onChange((p) => {
+    if (p) sim.pause();
+    else sim.resume();
+  });
+  const timeScaleCtrl = timeFolder.add(timeParams, "timeScale", -20, 20, 0.05).name("Time scale").onChange((v) => {
+    config.timeScale = v;
+  });
+  const timelineCtrl = timeFolder.add(timeParams, "time", 0, config.loop.length, 0.1).name("Timeline (s)").onChange((v) => {
+    sim.setTime(v);
+  }).listen();
+  timeFolder.open();
+
+  // Fixed-step, fixed-size captures from the current sim time
+  const captureFolder = gui.addFolder("Capture").close();
+  captureFolder.add(captureParams, "width", 64, 7680, 1).name("Width (px)");
+  captureFolder.add(captureParams, "height", 64, 4320, 1).name("Height (px)");
+  captureFolder.add(captureParams, "fps", 1, 120, 1).name("FPS");
+  captureFolder.add(captureParams, "duration", 0.1, 600, 0.1).name("Duration (s)");
+  captureFolder.add(captureParams, "format", { "PNG sequence (zip)": "png", WebM: "webm" }).name("Format");
+  captureFolder.add(captureParams, "camera", ["Interactive", "Camera path"]).name("Camera");
+  captureFolder.add({ start: () => startCapture() }, "start").name("Start capture");
+  captureFolder.add({ cancel: () => capture.cancel() }, "cancel").name("Cancel");
+  captureFolder.add(captureParams, "status").name("Status").disable().listen();
+
+  // Camera path: add the current view as keys (relative to the focused body,
+  // if any), or load/save the JSON
+  const pathFolder = captureFolder.addFolder("Camera path");
+  const pathChanged = () => {
+    captureParams.keys = cameraPathJson.keyframes?.length ?? 1;
+  };
+  pathFolder.add(captureParams, "keySpacing", 0.1, 60, 0.1).name("Seconds between keys");
+  pathFolder.add({
+    addKey: () => {
+      cameraPathJson.keyframes ??= []; // a loaded follow path starts over
+      delete cameraPathJson.follow;
+      delete cameraPathJson.offset;
+      const keys = cameraPathJson.keyframes;
+      const t = keys.length > 0 ? keys[keys.length - 1].t + captureParams.keySpacing : 0;
+      const body = cameraFocus.getFocus();
+      const bodyPosition = body ? solarView.meshes[body].position : null;
+      keys.push(cameraKeyframe(t, camera, controls.target, config.scale, body, bodyPosition));
+      pathChanged();
+    },
+  }, "addKey").name("Add key (current view)");
+  pathFolder.add(captureParams, "keys").name("Keys").disable().listen();
+  const pathPicker = document.createElement("input");
+  pathPicker.type = "file";
+  pathPicker.accept = ".json,application/json";
+  pathPicker.addEventListener("change", async () => {
+    const file = pathPicker.files[0];
+    pathPicker.value = "";
+    if (!file) return;
+    try {
+      const json = JSON.parse(await file.text());
+      parseCameraPath(json, config);
+      cameraPathJson = json;
+      captureParams.camera = "Camera path";
+      pathChanged();
+      gui.controllersRecursive().forEach((c) => c.updateDisplay());
+    } catch (err) {
+      alert(`Could not load ${file.name}: ${err.message}`);
+    }
+  });
+  pathFolder.add({ load: () => pathPicker.click() }, "load").name("Load camera path…");
+  pathFolder.add({
+    save: () => downloadBlob(new Blob([JSON.stringify(cameraPathJson, null, 2)], { type: "application/json" }), "camera-path.json"),
+  }, "save").name("Save camera path");
+  pathFolder.add({
+    clear: () => {
+      cameraPathJson = { keyframes: [] };
+      pathChanged();
+    },
+  }, "clear").name("Clear path");
+
+  // Body editor, one subfolder per body (rebuilt with the system). Distances
+  // are game meters and angles degrees here; the config holds visual units
+  // and radians, so each control goes through a get/set pair.
+  const DEG = 180 / Math.PI;
+  let bodiesFolder = null;
+
+  function addBodyControls(folder, name) {
+    const b = config.bodies[name];
+    const f = folder.addFolder(bodyLabel(config, name)).close();
+    const edited = () => applyBodyEdit(name);
+    const scale = config.scale;
+
+    if (b.orbit) {
+      const o = b.orbit;
+      const aKey = o.semiMajorAxis !== undefined ? "semiMajorAxis" : "radius";
+      const phaseKey = o.meanAnomaly !== undefined ? "meanAnomaly" : "phase";
+      const kepler = () => keplerPeriod(o[aKey] / scale, config.mu);
+      const lock = { kepler: Math.abs(o.period - kepler()) <= 1e-9 * o.period };
+      // shown wrapped into the slider's range [min, min + 360)
+      const angle = (key, min) => ({
+        get: () => ((((o[key] ?? 0) * DEG - min) % 360) + 360) % 360 + min,
+        set: (v) => { o[key] = v / DEG; },
+      });
+      const orbit = Object.defineProperties({}, {
+        radius: {
+          get: () => o[aKey] / scale,
+          set: (v) => {
+            o[aKey] = v * scale;
+            if (lock.kepler) o.period = kepler();
+          },
+        },
+        period: { get: () => o.period, set: (v) => { o.period = v; } },
+        phase: angle(phaseKey, -180),
+        inclination: angle("inclination", -180),
+        node: angle("node", 0),
+      });
+
+      f.add(orbit, "radius").min(1).name("Orbit radius (m)").onChange(() => {
+        edited();
+        periodCtrl.updateDisplay();
+      }).onFinishChange(scanEvents);
+      const periodCtrl = f.add(orbit, "period").min(0.1).name("Period (s)").onChange(edited).onFinishChange(scanEvents);
+      periodCtrl.enable(!lock.kepler);
+      f.add(lock, "kepler").name("Lock to Kepler").onChange((locked) => {
+        periodCtrl.enable(!locked);
+        if (locked) o.period = kepler();
+        periodCtrl.updateDisplay();
+        edited();
+        scanEvents();
+      });
+      f.add(orbit, "phase", -180, 180, 0.5).name("Phase (°)").onChange(edited).onFinishChange(scanEvents);
+      f.add(orbit, "inclination", -180, 180, 0.5).name("Inclination (°)").onChange(edited).onFinishChange(scanEvents);
+      f.add(orbit, "node", 0, 360, 0.5).name("Node (°)").onChange(edited).onFinishChange(scanEvents);
+    }
+
+    const looks = Object.defineProperties({}, {
+      radius: { get: () => (b.radius ?? 10) / scale, set: (v) => { b.radius = v * scale; } },
+      color: {
+        get: () => `#${new THREE.Color(b.color ?? 0xffffff).getHexString()}`,
+        set: (v) => { b.color = v; },
+      },
+    });
+    f.add(looks, "radius").min(1).name("Body radius (m)").onChange(edited).onFinishChange(scanEvents);
+    f.addColor(looks, "color").name("Color").onChange(edited);
+
+    f.add({
+      remove: () => editSystemFile((file) => {
+        delete file.bodies[name];
+        file.trails.bodies = file.trails.bodies.filter((n) => n !== name);
+        file.trails.predict.bodies = file.trails.predict.bodies.filter((n) => n !== name);
+      }),
+    }, "remove").name("Remove body");
+  }
+
+  function buildBodiesFolder() {
+    bodiesFolder?.destroy();
+    bodiesFolder = gui.addFolder("Bodies").close();
+
+    const newBody = { name: "NewBody", parent: "Sun" };
+    bodiesFolder.add(newBody, "name").name("New body name");
+    bodiesFolder.add(newBody, "parent", Object.keys(config.bodies)).name("Orbiting");
+    bodiesFolder.add({
+      add: () => editSystemFile((file) => {
+        const name = newBody.name.trim();
+        if (!name || file.bodies[name]) throw new Error(`Body name '${name}' is empty or taken`);
+        const parent = file.bodies[newBody.parent];
+        // past the outermost planet, or a few radii out for a moon
+        const outermost = Math.max(0, ...Object.values(file.bodies)
+          .filter((o) => !o.parent && o.orbit)
+          .map((o) => o.orbit.semiMajorAxis ?? o.orbit.radius));
+        file.bodies[name] = {
+          type: newBody.parent === "Sun" ? "primary" : "moon",
+          ...(newBody.parent === "Sun" ? {} : { parent: newBody.parent }),
+          radius: 200,
+          color: "#9aa7b8",
+          orbit: { radius: newBody.parent === "Sun" ? outermost + 3000 : (parent.radius ?? 500) * 4 },
+        };
+        file.trails.bodies.push(name);
+      }),
+    }, "add").name("Add body");
+
+    bodiesFolder.add({
+      export: () => {
+        const out = JSON.stringify(saveSystem(config), null, 2);
+        downloadBlob(new Blob([out], { type: "application/json" }), `${config.name.replace(/[^\w-]+/g, "-")}.json`);
+      },
+    }, "export").name("Export system JSON");
+
+    for (const name of Object.keys(config.bodies)) {
+      if (name !== "Sun") addBodyControls(bodiesFolder, name);
+    }
+  }
+  buildBodiesFolder();
+
+  refreshSystemGui = () => {
+    buildBodiesFolder();
+    sandCtrl.name(sandLabel());
+    focusCtrl = focusCtrl.options(["System", ...cameraFocus.bodies]).onChange(focusBody).listen();
+    centerCtrl = centerCtrl.options(Object.keys(config.bodies)).onChange(resetTrails).listen();
+    referenceCtrl = referenceCtrl.options(Object.keys(config.bodies)).onChange(resetTrails).listen();
+    timeScaleCtrl.updateDisplay();
+    timelineCtrl.max(config.loop.length);
+  };
+
   gui.add(params, "toneMappingExposure", 0.1, 3, 0.01).name("Exposure").onChange((v) => {
     renderer.toneMappingExposure = v;
   });
 
-  gui.add(
+  // Presets: named looks in localStorage, plus JSON files for sharing
+  const presetsFolder = gui.addFolder("Presets");
+  const presetParams = { preset: sunPresets.active ?? BUNDLED_PRESET, name: "" };
+
+  function selectPreset(name) {
+    try {
+      sunPresets.apply(name === BUNDLED_PRESET ? DEFAULT_PRESET : sunPresets.get(name));
+    } catch (err) {
+      alert(`Could not apply preset '${name}': ${err.message}`);
+      return;
+    }
+    presetParams.preset = name;
+    sunPresets.setActive(name === BUNDLED_PRESET ? null : name);
+    syncGuiFromMaterial();
+  }
+
+  let presetCtrl = presetsFolder.add(presetParams, "preset", [BUNDLED_PRESET]).name("Preset");
+  function refreshPresetOptions() {
+    presetCtrl = presetCtrl.options([BUNDLED_PRESET, ...sunPresets.names()]).onChange(selectPreset);
+    // options() re-adds the dropdown at the bottom; keep it first
+    presetsFolder.$children.prepend(presetCtrl.domElement);
+  }
+  refreshPresetOptions();
+
+  function storePreset(name, preset) {
+    if (!name || name === BUNDLED_PRESET) throw new Error(`'${name}' can't be used as a preset name`);
+    sunPresets.save(name, preset);
+    refreshPresetOptions();
+  }
+
+  presetsFolder.add(presetParams, "name").name("New preset name");
+  presetsFolder.add(
     {
-      copyConfig: () => {
-        const out = {
-          uVibrance: params.uVibrance,
-          uSaturation: params.uSaturation,
-          uBaseColor: params.uBaseColor,
-          uHotColor: params.uHotColor,
-          noise: {
-            largeScale: params.uLargeScale,
-            smallScale: params.uSmallScale,
-            fbmAmp: params.uFbmAmp,
-            fbmGain: params.uFbmGain,
-            fbmLacunarity: params.uFbmLacunarity,
-          },
-          halo: {
-            intensity: params.haloIntensity,
-            alpha: params.haloAlpha,
-            power: params.haloPower,
-            size: params.haloScale,
-          },
-          toneMappingExposure: params.toneMappingExposure,
-        };
+      save: () => {
+        // a new name if one was typed, else overwrite the selected preset
+        const name = presetParams.name.trim() || presetParams.preset;
+        try {
+          storePreset(name);
+        } catch (err) {
+          alert(`${err.message}; type a name first`);
+          return;
+        }
+        presetParams.name = "";
+        selectPreset(name);
+      },
+    },
+    "save"
+  ).name("Save preset");
+  presetsFolder.add(
+    {
+      remove: () => {
+        const name = presetParams.preset;
+        if (name === BUNDLED_PRESET || !confirm(`Delete preset '${name}'?`)) return;
+        sunPresets.remove(name);
+        refreshPresetOptions();
+        selectPreset(BUNDLED_PRESET);
+      },
+    },
+    "remove"
+  ).name("Delete preset");
+
+  // Import a preset file (any version; older ones are migrated) under its file name
+  const presetPicker = document.createElement("input");
+  presetPicker.type = "file";
+  presetPicker.accept = ".json,application/json";
+  presetPicker.addEventListener("change", async () => {
+    const file = presetPicker.files[0];
+    presetPicker.value = "";
+    if (!file) return;
+    const name = file.name.replace(/\.json$/i, "");
+    try {
+      const preset = JSON.parse(await file.text());
+      sunPresets.apply(preset);
+      storePreset(name, preset);
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+      syncGuiFromMaterial();
+      return;
+    }
+    selectPreset(name);
+  });
+  presetsFolder.add({ load: () => presetPicker.click() }, "load").name("Import preset file…");
 
+  presetsFolder.add(
+    {
+      copyConfig: () => {
+        const out = sunPresets.read();
         const text = JSON.stringify(out, null, 2);
         if (navigator.clipboard && navigator.clipboard.writeText) {
           navigator.clipboard
@@ -605,106 +1455,48 @@ try {
     "copyConfig"
   ).name("Copy config JSON");
 
-  gui.add(
+  presetsFolder.add(
     {
       saveConfig: () => {
-        const out = JSON.stringify(
-          {
-            uVibrance: params.uVibrance,
-            uSaturation: params.uSaturation,
-            uBaseColor: params.uBaseColor,
-            uHotColor: params.uHotColor,
-            noise: {
-              largeScale: params.uLargeScale,
-              smallScale: params.uSmallScale,
-              fbmAmp: params.uFbmAmp,
-              fbmGain: params.uFbmGain,
-              fbmLacunarity: params.uFbmLacunarity,
-            },
-            halo: {
-              intensity: params.haloIntensity,
-              alpha: params.haloAlpha,
-              power: params.haloPower,
-              size: params.haloScale,
-            },
-            toneMappingExposure: params.toneMappingExposure,
-          },
-          null,
-          2
-        );
-
-        const blob = new Blob([out], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = "sun-config.json";
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const out = JSON.stringify(sunPresets.read(), null, 2);
+        const name = presetParams.preset === BUNDLED_PRESET ? "sun-config" : presetParams.preset;
+        downloadBlob(new Blob([out], { type: "application/json" }), `${name}.json`);
       },
     },
     "saveConfig"
   ).name("Save config JSON");
 
-  gui.add(
-    {
-      loadConfig: () => {
-        const txt = prompt("Paste config JSON here:");
-        if (!txt) return;
-        try {
-          const j = JSON.parse(txt);
-          applyConfigFromObject(j);
-          alert("Config applied");
-          if (typeof syncGuiFromMaterial === "function") syncGuiFromMaterial();
-        } catch (err) {
-          alert("Invalid JSON: " + err.message);
-        }
-      },
-    },
-    "loadConfig"
-  ).name("Load config (paste)");
-
-  gui.add(
-    {
-      resetDefaults: () => {
-        applyConfigFromObject(bundledDefaults);
-        if (typeof syncGuiFromMaterial === "function") syncGuiFromMaterial();
-        alert("Defaults applied");
-      },
-    },
-    "resetDefaults"
-  ).name("Reset to defaults");
+  presetsFolder.add({ resetDefaults: () => selectPreset(BUNDLED_PRESET) }, "resetDefaults").name("Reset to defaults");
 
+  // Copy the live uniforms into params and redraw every control
   function syncGuiFromMaterial() {
-    try {
-      params.uVibrance = sunMaterial.uniforms.uVibrance.value;
-      params.uSaturation = sunMaterial.uniforms.uSaturation.value;
-      params.uBaseColor = "#" + sunMaterial.uniforms.uBaseColor.value.getHexString();
-      params.uHotColor = "#" + sunMaterial.uniforms.uHotColor.value.getHexString();
-      params.haloIntensity = halo.material.uniforms.uIntensity.value;
-      params.haloAlpha = halo.material.uniforms.uAlpha.value;
-      params.haloPower = halo.material.uniforms.uPower.value;
-      params.toneMappingExposure = renderer.toneMappingExposure || 1.0;
-      params.haloScale = halo.scale.x;
-
-      params.uLargeScale = sunMaterial.uniforms.uLargeScale.value;
-      params.uSmallScale = sunMaterial.uniforms.uSmallScale.value;
-      params.uFbmAmp = sunMaterial.uniforms.uFbmAmp.value;
-      params.uFbmGain = sunMaterial.uniforms.uFbmGain.value;
-      params.uFbmLacunarity = sunMaterial.uniforms.uFbmLacunarity.value;
-
-      if (gui && gui.__controllers) {
-        gui.__controllers.forEach((c) => c?.updateDisplay?.());
-      }
-      if (gui && gui.__folders) {
-        Object.values(gui.__folders).forEach((folder) => {
-          folder?.__controllers?.forEach((c) => c?.updateDisplay?.());
-        });
-      }
-    } catch (err) {
-      console.warn("Failed to sync GUI from material:", err);
-    }
+    const p = sunPresets.read();
+    params.uVibrance = p.sun.vibrance;
+    params.uSaturation = p.sun.saturation;
+    params.uBaseColor = p.sun.baseColor;
+    params.uHotColor = p.sun.hotColor;
+    params.uLargeScale = p.sun.noise.largeScale;
+    params.uSmallScale = p.sun.noise.smallScale;
+    params.uSmallFlowFactor = p.sun.noise.smallFlowFactor;
+    params.uFbmAmp = p.sun.noise.fbmAmp;
+    params.uFbmGain = p.sun.noise.fbmGain;
+    params.uFbmLacunarity = p.sun.noise.fbmLacunarity;
+    params.uSpotScale = p.sun.spots.scale;
+    params.uSpotIntensity = p.sun.spots.intensity;
+    params.uSpotThresholdLow = p.sun.spots.thresholdLow;
+    params.uSpotThresholdHigh = p.sun.spots.thresholdHigh;
+    params.uSpotFlowRadius = p.sun.spots.flowRadius;
+    params.uLoopPeriod = p.sun.spots.loopPeriod;
+    params.uSpotPulse = p.sun.spots.pulse;
+    params.uSpotPhaseScale = p.sun.spots.phaseScale;
+    params.haloColor = p.halo.color;
+    params.haloIntensity = p.halo.intensity;
+    params.haloAlpha = p.halo.alpha;
+    params.haloPower = p.halo.power;
+    params.haloScale = p.halo.size;
+    params.toneMappingExposure = p.toneMappingExposure;
+
+    gui.controllersRecursive().forEach((c) => c.updateDisplay());
   }
 
   syncGuiFromMaterial();
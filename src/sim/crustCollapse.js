@@ -0,0 +1,142 @@
+// src/sim/crustCollapse.js
+// Brittle Hollow's crust breaking up over the loop. Volcanic impacts from the
+// impactor moon (Hollow's Lantern) knock crust fragments loose; each loose
+// fragment falls inward onto the black hole core and is swallowed.
+//
+// Everything is planned once from the config (seeded), so the state at any
+// sim time is a pure lookup: scrubbing or resetting the loop replays exactly.
+// No Three.js here; solarView builds the fragments from crustTiles().
+import { orbitPos } from "./solarSim.js";
+import { mulberry32 } from "./random.js";
+
+/**
+ * The crust as bands x segments sphere patches, in THREE.SphereGeometry's
+ * parameterisation (phi around Y from -X, theta down from +Y), so a view can
+ * build each patch with SphereGeometry(r, ..., phiStart, phiLength, thetaStart, thetaLength).
+ * Returns [{ phiStart, phiLength, thetaStart, thetaLength, direction }],
+ * direction being the unit vector through the patch center.
+ */
+export function crustTiles(crust) {
+  const { bands, segments } = crust;
+  const tiles = [];
+  for (let i = 0; i < bands; i++) {
+    for (let j = 0; j < segments; j++) {
+      const thetaLength = Math.PI / bands;
+      const phiLength = (Math.PI * 2) / segments;
+      const thetaStart = i * thetaLength;
+      const phiStart = j * phiLength;
+      const theta = thetaStart + thetaLength / 2;
+      const phi = phiStart + phiLength / 2;
+      tiles.push({
+        phiStart,
+        phiLength,
+        thetaStart,
+        thetaLength,
+        direction: {
+          x: -Math.cos(phi) * Math.sin(theta),
+          y: Math.cos(theta),
+          z: Math.sin(phi) * Math.sin(theta),
+        },
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Work out when every fragment comes loose.
+ * Impacts land every `impacts.interval` seconds (± jitter) from
+ * `impacts.start` until `until`, on the side of the body facing the
+ * impactor at that moment; the nearest fragment still attached breaks off.
+ *
+ * Returns { impacts: [{ t, direction, fragment }], fragments: [{ direction,
+ * detachAt (Infinity if it never breaks), spinAxis, spinRate }] }.
+ * Throws if the impactor doesn't orbit the crust body.
+ */
+export function createCrustPlan(config, until) {
+  const crust = config.crust;
+  const impactor = config.bodies[crust.impactor];
+  if (!config.bodies[crust.body]) throw new Error(`crust.body '${crust.body}' not found`);
+  if (!impactor) throw new Error(`crust.impactor '${crust.impactor}' not found`);
+  if (impactor.parent !== crust.body || !impactor.orbit) {
+    throw new Error(`crust.impactor '${crust.impactor}' must orbit '${crust.body}'`);
+  }
+
+  const rng = mulberry32(crust.seed ?? 1);
+  const fragments = crustTiles(crust).map((tile) => {
+    // random tumble axis: uniform on the sphere
+    const z = rng() * 2 - 1;
+    const a = rng() * Math.PI * 2;
+    const s = Math.sqrt(1 - z * z);
+    return {
+      direction: tile.direction,
+      detachAt: Infinity,
+      spinAxis: { x: s * Math.cos(a), y: s * Math.sin(a), z },
+      spinRate: (rng() - 0.5) * 2 * (crust.spin ?? 0.3),
+    };
+  });
+
+  const { start, interval, jitter = 0 } = crust.impacts;
+  const impacts = [];
+  const attached = new Set(fragments.keys());
+  for (let k = 0; attached.size > 0; k++) {
+    const t = start + (k + (rng() - 0.5) * jitter) * interval;
+    if (t >= until) break;
+
+    const p = orbitPos(impactor.orbit, t);
+    const len = Math.hypot(p.x, p.y, p.z);
+    const direction = { x: p.x / len, y: p.y / len, z: p.z / len };
+
+    let best = -1;
+    let bestDot = -Infinity;
+    for (const i of attached) {
+      const d = fragments[i].direction;
+      const dot = d.x * direction.x + d.y * direction.y + d.z * direction.z;
+      if (dot > bestDot) { bestDot = dot; best = i; }
+    }
+    attached.delete(best);
+    fragments[best].detachAt = t;
+    impacts.push({ t, direction, fragment: best });
+  }
+
+  return { impacts, fragments };
+}
+
+/**
+ * Crust state at sim time t, one entry per fragment (same order as crustTiles):
+ * { distance (center of the body -> fragment, visual units), angle (tumble, rad,
+ *   about the unit vector axis), detached, swallowed }
+ * A loose fragment falls from the surface to the core over `crust.fallTime`
+ * seconds, accelerating, and is swallowed when it gets there.
+ * Also returns lastImpact: { t, direction, age } of the latest impact, or null.
+ */
+export function crustStateAt(plan, crust, surfaceRadius, t) {
+  const fall = Math.max(crust.fallTime, 1e-6);
+  const drop = surfaceRadius - crust.coreRadius;
+
+  const fragments = plan.fragments.map((f) => {
+    const since = t - f.detachAt;
+    if (!(since > 0)) {
+      return { distance: surfaceRadius, angle: 0, axis: f.spinAxis, detached: false, swallowed: false };
+    }
+    const u = Math.min(since / fall, 1);
+    return {
+      distance: surfaceRadius - drop * u * u,
+      angle: f.spinRate * since,
+      axis: f.spinAxis,
+      detached: true,
+      swallowed: u >= 1,
+    };
+  });
+
+  let lastImpact = null;
+  for (const impact of plan.impacts) {
+    if (impact.t > t) break;
+    lastImpact = impact;
+  }
+
+  return {
+    fragments,
+    lastImpact: lastImpact && { t: lastImpact.t, direction: lastImpact.direction, age: t - lastImpact.t },
+  };
+}
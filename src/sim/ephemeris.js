@@ -0,0 +1,90 @@
+// src/sim/ephemeris.js
+// Headless sampling of a system over a time range: positions and velocities
+// per body, in a chosen reference frame and units, ready to write out as
+// JSON or CSV (see scripts/ephemeris.js). Pure; no Three.js, no DOM.
+
+import { createSolarSim } from "./solarSim.js";
+import { createNBodySim } from "./nbodySim.js";
+import { applyReferenceFrame } from "./referenceFrames.js";
+import { loopStateAt } from "./timeLoop.js";
+
+const SIMS = { kepler: createSolarSim, nbody: createNBodySim };
+const UNITS = ["game", "visual"];
+
+const scaled = (v, k) => ({ x: v.x * k, y: v.y * k, z: v.z * k });
+
+/**
+ * Sample `config` (a loaded runtime config) from start to end every step seconds.
+ *
+ * options:
+ * - start (0), end (loop length), step (1): sim seconds; end is included
+ * - frame: as for applyReferenceFrame ({ type: "inertial" } by default)
+ * - units: "game" (meters, m/s) or "visual" (the config's own units)
+ * - bodies: names to include (all by default)
+ * - mode: "kepler" (analytic; each sample is exact) or "nbody"
+ *   (integrated forward from start, so samples depend on the step history)
+ *
+ * Returns { system, mode, frame, units, samples: [{ t, loopTime, phase,
+ * bodies: { name: { position, velocity } } }] }.
+ * Throws on an unknown mode/units/body or a bad range.
+ */
+export function sampleEphemeris(config, options = {}) {
+  const {
+    start = 0,
+    end = config.loop.length,
+    step = 1,
+    frame = { type: "inertial" },
+    units = "game",
+    mode = "kepler",
+  } = options;
+  const names = options.bodies ?? Object.keys(config.bodies);
+
+  if (!SIMS[mode]) throw new Error(`Unknown mode '${mode}' (use ${Object.keys(SIMS).join(" or ")})`);
+  if (!UNITS.includes(units)) throw new Error(`Unknown units '${units}' (use ${UNITS.join(" or ")})`);
+  if (!(step > 0)) throw new Error(`step must be > 0, got ${step}`);
+  if (!(end >= start)) throw new Error(`end (${end}) must not be before start (${start})`);
+  for (const name of names) {
+    if (!config.bodies[name]) throw new Error(`Body '${name}' not found`);
+  }
+
+  // sim time advances 1:1 with update(dt) here, whatever the display speed
+  const sim = SIMS[mode]({ ...config, timeScale: 1 }, { t0: start });
+  const k = units === "game" ? 1 / config.scale : 1;
+
+  const samples = [];
+  const count = Math.floor((end - start) / step + 1e-9);
+  for (let i = 0; i <= count; i++) {
+    const t = start + i * step;
+    if (mode === "kepler") sim.setTime(t);
+    else if (i > 0) sim.update(step);
+
+    const state = sim.getState();
+    const framed = applyReferenceFrame(state, frame);
+    const loop = loopStateAt(config.loop, state.t);
+
+    const bodies = {};
+    for (const name of names) {
+      bodies[name] = {
+        position: scaled(framed.positions[name], k),
+        velocity: scaled(framed.velocities[name], k),
+      };
+    }
+    samples.push({ t: state.t, loopTime: loop.loopTime, phase: loop.phase, bodies });
+  }
+
+  return { system: config.name, mode, frame, units, samples };
+}
+
+/**
+ * One CSV row per sample and body:
+ * t,loopTime,phase,body,x,y,z,vx,vy,vz
+ */
+export function ephemerisToCsv(ephemeris) {
+  const rows = ["t,loopTime,phase,body,x,y,z,vx,vy,vz"];
+  for (const s of ephemeris.samples) {
+    for (const [name, { position: p, velocity: v }] of Object.entries(s.bodies)) {
+      rows.push([s.t, s.loopTime, s.phase, name, p.x, p.y, p.z, v.x, v.y, v.z].join(","));
+    }
+  }
+  return `${rows.join("\n")}\n`;
+}
@@ -0,0 +1,291 @@
+// src/sim/events.js
+// Astronomical events over a time range, from the analytic (Keplerian)
+// positions: solar eclipses seen from a body, moon transits across their
+// parent seen from the Sun, conjunctions/oppositions of the planets, and
+// close approaches between bodies. Pure; no Three.js, no DOM.
+//
+// Each event is a zero crossing or a minimum of a smooth function of t
+// (angular separation minus the disk radii, a longitude difference, a
+// distance). A coarse grid only brackets them; the times come from
+// bisection / golden-section search on orbitPos() itself.
+
+import { orbitPos } from "./solarSim.js";
+import { sortBodies } from "./hierarchy.js";
+import { sampleCurve } from "./timeLoop.js";
+import { bodyLabel } from "./telemetry.js";
+
+export const EVENT_TYPES = ["eclipse", "transit", "conjunction", "opposition", "approach"];
+
+// Bodies with a surface worth eclipsing / approaching
+const SOLID = ["primary", "moon", "binaryChild", "comet"];
+// Top-level bodies that count as planets for conjunctions (not barycenters
+// or static markers: there's nothing there to line up)
+const PLANETS = ["primary"];
+
+const TIME_TOLERANCE = 1e-4; // s
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const length = (v) => Math.hypot(v.x, v.y, v.z);
+
+// Angle between two directions, stable near 0 and PI
+function angleBetween(a, b) {
+  const cx = a.y * b.z - a.z * b.y;
+  const cy = a.z * b.x - a.x * b.z;
+  const cz = a.x * b.y - a.y * b.x;
+  return Math.atan2(Math.hypot(cx, cy, cz), a.x * b.x + a.y * b.y + a.z * b.z);
+}
+
+const angularRadius = (radius, distance) => Math.asin(Math.min(1, radius / Math.max(distance, 1e-9)));
+
+// Root of f in [a, b], given opposite signs at the ends.
+function bisect(f, a, b) {
+  let fa = f(a);
+  while (b - a > TIME_TOLERANCE) {
+    const m = (a + b) / 2;
+    const fm = f(m);
+    if ((fm < 0) === (fa < 0)) {
+      a = m;
+      fa = fm;
+    } else {
+      b = m;
+    }
+  }
+  return (a + b) / 2;
+}
+
+// Minimum of a unimodal f in [a, b]: { t, value }.
+function goldenMin(f, a, b) {
+  let c = b - GOLDEN * (b - a);
+  let d = a + GOLDEN * (b - a);
+  let fc = f(c), fd = f(d);
+  while (b - a > TIME_TOLERANCE) {
+    if (fc < fd) {
+      b = d; d = c; fd = fc;
+      c = b - GOLDEN * (b - a); fc = f(c);
+    } else {
+      a = c; c = d; fc = fd;
+      d = a + GOLDEN * (b - a); fd = f(d);
+    }
+  }
+  const t = (a + b) / 2;
+  return { t, value: f(t) };
+}
+
+// Is `a` an ancestor of `b` in the static hierarchy?
+function isAncestor(bodies, a, b) {
+  for (let p = bodies[b].parent; p; p = bodies[p].parent) if (p === a) return true;
+  return false;
+}
+
+/**
+ * Scan [start, end] for events.
+ *
+ * options:
+ * - start (0), end (loop length): sim seconds
+ * - step: bracketing grid, sim seconds (default: 1/12 of the shortest period)
+ * - approachDistance: report close approaches nearer than this, game meters (3000)
+ * - minEclipse: smallest occluder that counts, as a fraction of the Sun's
+ *   apparent radius (0.25); smaller ones only speck the disk
+ *
+ * Returns events sorted by t:
+ * { type, t, start?, end? (eclipses/transits), bodies: [...], focus, value }
+ * - eclipse: bodies [occluder, observer]; value = how much of the Sun's
+ *   disk radius is covered at peak (0..1+)
+ * - transit: bodies [moon, parent], seen from the Sun; value as for eclipses
+ * - conjunction / opposition: bodies [planet, planet], seen from the Sun
+ * - approach: bodies [a, b]; value = closest distance, game meters
+ * focus is the body to point the camera at (null: the whole system).
+ *
+ * Quantum bodies are left out (their host depends on the observer), and
+ * so are pairs of binary siblings, which circle each other every orbit.
+ */
+export function findEvents(config, options = {}) {
+  const bodies = config.bodies;
+  const start = options.start ?? 0;
+  const end = options.end ?? config.loop.length;
+  const approachDistance = (options.approachDistance ?? 3000) * config.scale;
+  const minEclipse = options.minEclipse ?? 0.25;
+
+  const periods = Object.values(bodies).map((b) => b.orbit?.period).filter((p) => p > 0);
+  const step = options.step ?? Math.min(1, Math.max(0.01, Math.min(...periods) / 12));
+
+  // heliocentric positions straight from the orbits, parents first
+  // (quantum bodies stay with their starting host; they're skipped below)
+  const order = sortBodies(bodies);
+  function positionsAt(t) {
+    const p = {};
+    for (const name of order) {
+      const b = bodies[name];
+      const rel = b.orbit ? orbitPos(b.orbit, t) : { x: 0, y: 0, z: 0, ...b.position };
+      const base = b.parent ? p[b.parent] : null;
+      p[name] = base ? { x: base.x + rel.x, y: base.y + rel.y, z: base.z + rel.z } : rel;
+    }
+    return p;
+  }
+  const sunRadiusAt = (t) => bodies.Sun.radius * sampleCurve(config.loop.curves.sunRadius, t);
+
+  const names = Object.keys(bodies);
+  const solid = names.filter((n) => SOLID.includes(bodies[n].type));
+  const planets = names.filter((n) => !bodies[n].parent && PLANETS.includes(bodies[n].type));
+  const binarySiblings = (a, b) =>
+    bodies[a].type === "binaryChild" && bodies[b].type === "binaryChild" && bodies[a].parent === bodies[b].parent;
+
+  // --- what to look for: each search is a function of (positions, t) ---
+  const dips = []; // events while f < 0, peaking at its minimum
+  const minima = []; // events at local minima of f below a threshold
+  const crossings = []; // events at sign changes of f
+
+  // `front` covers `back` (radius backRadius(t)) as seen from `eye`
+  const cover = (eye, front, back, backRadius) => (p, t) => {
+    const toFront = sub(p[front], p[eye]), toBack = sub(p[back], p[eye]);
+    const rBack = angularRadius(backRadius(t), length(toBack));
+    const rFront = angularRadius(bodies[front].radius, length(toFront));
+    return angleBetween(toFront, toBack) - rFront - rBack;
+  };
+  // at the peak: is `front` really in front (and big enough), and how much
+  // of `back` it covers
+  const depth = (eye, front, back, backRadius, minSize) => (p, t) => {
+    const toFront = sub(p[front], p[eye]), toBack = sub(p[back], p[eye]);
+    if (length(toFront) >= length(toBack)) return null;
+    const rBack = angularRadius(backRadius(t), length(toBack));
+    const rFront = angularRadius(bodies[front].radius, length(toFront));
+    if (rFront < minSize * rBack) return null;
+    return (rFront + rBack - angleBetween(toFront, toBack)) / (2 * rBack);
+  };
+
+  for (const observer of solid) {
+    for (const occluder of solid) {
+      if (occluder === observer || binarySiblings(observer, occluder)) continue;
+      dips.push({
+        type: "eclipse",
+        bodies: [occluder, observer],
+        focus: observer,
+        f: cover(observer, occluder, "Sun", sunRadiusAt),
+        value: depth(observer, occluder, "Sun", sunRadiusAt, minEclipse),
+      });
+    }
+  }
+
+  for (const moon of names.filter((n) => bodies[n].type === "moon" && bodies[n].parent)) {
+    const parent = bodies[moon].parent;
+    const parentRadius = () => bodies[parent].radius;
+    dips.push({
+      type: "transit",
+      bodies: [moon, parent],
+      focus: parent,
+      f: cover("Sun", moon, parent, parentRadius),
+      value: depth("Sun", moon, parent, parentRadius, 0),
+    });
+  }
+
+  for (let i = 0; i < planets.length; i++) {
+    for (let j = i + 1; j < planets.length; j++) {
+      const [a, b] = [planets[i], planets[j]];
+      // heliocentric longitude difference in the reference plane
+      const longitudes = (p) => Math.atan2(p[b].y, p[b].x) - Math.atan2(p[a].y, p[a].x);
+      crossings.push({
+        bodies: [a, b],
+        f: (p) => Math.sin(longitudes(p)),
+        type: (p) => (Math.cos(longitudes(p)) > 0 ? "conjunction" : "opposition"),
+      });
+    }
+  }
+
+  for (let i = 0; i < solid.length; i++) {
+    for (let j = i + 1; j < solid.length; j++) {
+      const [a, b] = [solid[i], solid[j]];
+      if (binarySiblings(a, b) || isAncestor(bodies, a, b) || isAncestor(bodies, b, a)) continue;
+      minima.push({
+        type: "approach",
+        bodies: [a, b],
+        focus: a,
+        f: (p) => length(sub(p[a], p[b])),
+        below: approachDistance,
+      });
+    }
+  }
+
+  // --- bracket on the grid ---
+  const times = [];
+  const count = Math.max(1, Math.ceil((end - start) / step));
+  for (let i = 0; i <= count; i++) times.push(Math.min(start + i * step, end));
+  const grid = times.map((t) => positionsAt(t));
+  const sample = (search) => times.map((t, i) => search.f(grid[i], t));
+  const at = (search) => (t) => search.f(positionsAt(t), t);
+
+  const events = [];
+
+  // local minima of the grid values that may dip below `below`, refined
+  // between the neighbours (a smooth f can't drop much further than the
+  // slope around the grid point allows)
+  function refinedMinima(search, v, below, keep = () => true) {
+    const out = [];
+    for (let i = 1; i < v.length - 1; i++) {
+      if (!(v[i] <= v[i - 1] && v[i] < v[i + 1])) continue;
+      if (v[i] - Math.max(v[i - 1] - v[i], v[i + 1] - v[i]) >= below || !keep(i)) continue;
+      out.push({ i, ...goldenMin(at(search), times[i - 1], times[i + 1]) });
+    }
+    return out;
+  }
+
+  for (const search of dips) {
+    const v = sample(search);
+    const f = at(search);
+    // occluders behind the target or too small show on the grid already
+    const keep = (i) => search.value(grid[i], times[i]) !== null;
+    for (const { i, t, value } of refinedMinima(search, v, 0, keep)) {
+      if (value >= 0) continue;
+      const covered = search.value(positionsAt(t), t);
+      if (covered === null) continue; // the "occluder" was behind
+
+      // walk out to grid points where it's over, then bisect the edges
+      let lo = i - 1;
+      while (lo > 0 && v[lo] < 0) lo--;
+      let hi = i + 1;
+      while (hi < v.length - 1 && v[hi] < 0) hi++;
+      events.push({
+        type: search.type,
+        t,
+        start: v[lo] < 0 ? times[lo] : bisect(f, times[lo], lo === i - 1 ? t : times[lo + 1]),
+        end: v[hi] < 0 ? times[hi] : bisect(f, hi === i + 1 ? t : times[hi - 1], times[hi]),
+        bodies: search.bodies,
+        focus: search.focus,
+        value: covered,
+      });
+    }
+  }
+
+  for (const search of minima) {
+    const v = sample(search);
+    for (const { t, value } of refinedMinima(search, v, search.below)) {
+      if (value >= search.below) continue;
+      events.push({ type: search.type, t, bodies: search.bodies, focus: search.focus, value: value / config.scale });
+    }
+  }
+
+  for (const search of crossings) {
+    const v = times.map((t, i) => search.f(grid[i]));
+    const f = (t) => search.f(positionsAt(t));
+    for (let i = 0; i < v.length - 1; i++) {
+      if (v[i] === 0 || (v[i] < 0) === (v[i + 1] < 0)) continue;
+      const t = bisect(f, times[i], times[i + 1]);
+      events.push({ type: search.type(positionsAt(t)), t, bodies: search.bodies, focus: null, value: null });
+    }
+  }
+
+  return events.sort((a, b) => a.t - b.t);
+}
+
+/** "Attlerock eclipses the Sun from Timber Hearth" etc. */
+export function describeEvent(config, event) {
+  const [a, b] = event.bodies.map((name) => bodyLabel(config, name));
+  switch (event.type) {
+    case "eclipse": return `${a} eclipses the Sun from ${b}`;
+    case "transit": return `${a} transits ${b}`;
+    case "conjunction": return `${a} and ${b} in conjunction`;
+    case "opposition": return `${a} and ${b} in opposition`;
+    case "approach": return `${a} and ${b} closest (${Math.round(event.value)} m)`;
+    default: return `${event.type}: ${a}, ${b}`;
+  }
+}
@@ -0,0 +1,13 @@
+// src/sim/eventsWorker.js
+// Runs findEvents() off the main thread (a full loop takes a couple of
+// seconds). Message in: { id, config, options }; out: { id, events } or
+// { id, error }.
+import { findEvents } from "./events.js";
+
+self.onmessage = ({ data }) => {
+  try {
+    self.postMessage({ id: data.id, events: findEvents(data.config, data.options) });
+  } catch (err) {
+    self.postMessage({ id: data.id, error: err.message });
+  }
+};
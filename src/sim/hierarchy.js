@@ -0,0 +1,43 @@
+// src/sim/hierarchy.js
+// Body hierarchy helpers: parent links -> dependency order.
+// Bodies without a `parent` orbit the origin (where the Sun sits).
+
+export function parentOf(bodies, name) {
+  return bodies[name].parent ?? null;
+}
+
+/**
+ * Topologically sort bodies so every parent comes before its children.
+ * Works at any depth (moons of moons, barycenters around planets, ...).
+ * Siblings keep their declaration order, so the result is stable.
+ *
+ * Throws on a missing parent or a parent cycle.
+ */
+export function sortBodies(bodies) {
+  const order = [];
+  const visiting = new Set();
+  const done = new Set();
+
+  function visit(name, path) {
+    if (done.has(name)) return;
+    if (visiting.has(name)) {
+      const cycle = [...path.slice(path.indexOf(name)), name].join(" -> ");
+      throw new Error(`Body hierarchy has a cycle: ${cycle}`);
+    }
+
+    const parent = parentOf(bodies, name);
+    if (parent !== null && !bodies[parent]) {
+      throw new Error(`${name}.parent '${parent}' not found`);
+    }
+
+    visiting.add(name);
+    if (parent !== null) visit(parent, [...path, name]);
+    visiting.delete(name);
+
+    done.add(name);
+    order.push(name);
+  }
+
+  for (const name of Object.keys(bodies)) visit(name, []);
+  return order;
+}
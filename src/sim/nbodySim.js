@@ -0,0 +1,422 @@
+// src/sim/nbodySim.js
+// “Option B”: N-body gravity.
+// Same update(dt)/getState() API as createSolarSim, but bodies move under
+// mutual gravity instead of following fixed ellipses. Seeded from the same
+// orbit params, so solarConfig drives both modes.
+
+import {
+  orbitPos,
+  orbitVel,
+  orbitElements,
+  elementsFromState,
+  snapshotState,
+} from "./solarSim.js";
+import { sortBodies } from "./hierarchy.js";
+import { createQuantumHosts } from "./quantum.js";
+import { createTimeSum } from "./simClock.js";
+
+const TAU = Math.PI * 2;
+const ZERO = { x: 0, y: 0, z: 0 };
+
+function sunName(bodies) {
+  return Object.keys(bodies).find((name) => bodies[name].type === "sun");
+}
+
+// For mass inference, root bodies count as satellites of the Sun.
+function gravParent(bodies, name, sun) {
+  const b = bodies[name];
+  if (b.type === "sun") return null;
+  return b.parent ?? sun;
+}
+
+// Kepler's third law, solved for the parent's gravitational parameter.
+function impliedMu(orbit) {
+  const { a, period } = orbitElements(orbit);
+  return period > 0 ? (TAU * TAU * a ** 3) / (period * period) : 0;
+}
+
+/**
+ * Gravitational parameter (G*M) per body, in visual units.
+ * - explicit `mu` in the body config wins
+ * - barycenters are massless
+ * - a binary pair splits its mass so both children orbit the barycenter
+ *   with their configured radius and period
+ * - anything else is inferred from the orbits of its satellites
+ *   (bodies without satellites are massless test particles)
+ *
+ * Inferred values only hold inside the body's own subsystem: the bundled
+ * periods all come from one Kepler constant, so a planet ends up as heavy
+ * as the Sun. createNBodySim only lets a body pull on its descendants
+ * (and binary partners on each other), never on its parent or neighbours.
+ */
+export function deriveGravParams(config) {
+  const bodies = config.bodies;
+  const sun = sunName(bodies);
+  const mus = {};
+
+  for (const [name, b] of Object.entries(bodies)) {
+    if (b.mu !== undefined) {
+      mus[name] = b.mu;
+      continue;
+    }
+
+    if (b.type === "barycenter") {
+      mus[name] = 0;
+      continue;
+    }
+
+    const siblings = Object.keys(bodies).filter(
+      (n) => n !== name && gravParent(bodies, n, sun) === b.parent
+    );
+    if (b.type === "binaryChild" && siblings.length === 1) {
+      // circular two-body: w^2 = mu_total / d^3, and mu_self / mu_total = r_partner / d
+      const self = orbitElements(b.orbit);
+      const partner = orbitElements(bodies[siblings[0]].orbit);
+      const d = self.a + partner.a;
+      const w = self.period > 0 ? TAU / self.period : 0;
+      mus[name] = w * w * d * d * partner.a;
+      continue;
+    }
+
+    const satellites = Object.keys(bodies).filter(
+      (n) => gravParent(bodies, n, sun) === name && bodies[n].orbit
+    );
+    mus[name] = satellites.length
+      ? satellites.reduce((sum, n) => sum + impliedMu(bodies[n].orbit), 0) / satellites.length
+      : 0;
+  }
+
+  return mus;
+}
+
+/**
+ * Create an N-body sim from the same config as createSolarSim.
+ * Returns an object with update(dt), getState(), getDiagnostics() and the
+ * same time controls as createSolarSim (setTime/getTime/pause/resume/isPaused).
+ *
+ * Gravity is hierarchical: a body is pulled by everything up its parent
+ * chain (the Sun for top-level bodies) and, for binary pairs, by its
+ * partner. So moons feel their planet plus the Sun's tide, while planets
+ * don't tug the Sun or each other with their (inferred, see
+ * deriveGravParams) masses.
+ *
+ * getDiagnostics(): { energyDrift, unbound }
+ * - energyDrift: largest relative change of any body's orbital energy
+ *   about its parent since seeding
+ * - unbound: bodies no longer on a closed orbit around their parent
+ *
+ * The integrated state depends on its history, so setTime(t) re-seeds from the
+ * analytic orbits at t rather than replaying the integration.
+ *
+ * Static bodies (no orbit) are pinned where they were seeded: they pull on
+ * everything else but never move.
+ *
+ * setObserved(name, observed) works as in createSolarSim: a quantum body that
+ * relocates is re-seeded on its configured orbit around the new host.
+ *
+ * options.t0 seeds positions/velocities from the analytic orbits at that time.
+ * config.nbody (optional): { maxStep, softening }
+ */
+export function createNBodySim(config, options = {}) {
+  const bodies = config.bodies;
+  const sun = sunName(bodies);
+  const maxStep = config.nbody?.maxStep ?? 0.01; // sim seconds per leapfrog substep
+  const soft2 = (config.nbody?.softening ?? 0.01) ** 2;
+  let t = options.t0 ?? 0;
+  const timeSum = createTimeSum(t); // t without float drift over long sessions
+  let paused = false;
+
+  const mus = deriveGravParams(config);
+  const quantum = createQuantumHosts(bodies);
+  // parents before children; re-sorted when a quantum body changes host
+  let names = sortBodies(quantum.effectiveBodies());
+  // integrator slot order is fixed at creation (pos/vel/acc index by it)
+  const dynamic = names.filter((n) => bodies[n].type !== "barycenter");
+  const barycenters = names.filter((n) => bodies[n].type === "barycenter");
+
+  // --- seed absolute positions/velocities from the analytic orbits at t ---
+  // `names` is topologically sorted, so parents are always seeded first.
+  function seedAll() {
+    const seeded = {};
+    for (const name of names) {
+      const b = bodies[name];
+      const parent = quantum.parentOf(name);
+      const base = parent ? seeded[parent] : { p: ZERO, v: ZERO };
+      const rp = b.orbit ? orbitPos(b.orbit, t) : { ...ZERO, ...b.position };
+      const rv = b.orbit ? orbitVel(b.orbit, t) : ZERO;
+      seeded[name] = {
+        p: { x: base.p.x + rp.x, y: base.p.y + rp.y, z: base.p.z + rp.z },
+        v: { x: base.v.x + rv.x, y: base.v.y + rv.y, z: base.v.z + rv.z },
+      };
+    }
+    return seeded;
+  }
+
+  // flat typed arrays for the integrator: [x, y, z] per dynamic body
+  const n = dynamic.length;
+  const pos = new Float64Array(n * 3);
+  const vel = new Float64Array(n * 3);
+  const acc = new Float64Array(n * 3);
+  const mu = new Float64Array(n);
+  const pinned = new Uint8Array(n);
+
+  dynamic.forEach((name, i) => {
+    mu[i] = mus[name];
+    pinned[i] = bodies[name].type === "static" ? 1 : 0;
+  });
+
+  function reseed() {
+    const seeded = seedAll();
+    dynamic.forEach((name, i) => {
+      const { p, v } = seeded[name];
+      pos[i * 3] = p.x; pos[i * 3 + 1] = p.y; pos[i * 3 + 2] = p.z;
+      vel[i * 3] = v.x; vel[i * 3 + 1] = v.y; vel[i * 3 + 2] = v.z;
+      if (pinned[i]) vel.fill(0, i * 3, i * 3 + 3);
+    });
+  }
+
+  // gravParent through the current (quantum) hosts
+  const hostOf = (name) => (name === sun ? null : quantum.parentOf(name) ?? sun);
+
+  // sources[i]: slots whose gravity acts on slot i (its ancestors up to
+  // the first pinned one, and its partner in a binary pair); rebuilt when
+  // a quantum body moves
+  let sources = [];
+  function buildSources() {
+    sources = dynamic.map((name) => {
+      const from = [];
+      // a pinned body is held in place, so its satellites only feel it
+      for (let p = hostOf(name); p; p = bodies[p].type === "static" ? null : hostOf(p)) from.push(p);
+      const host = hostOf(name);
+      if (host && bodies[host].type === "barycenter") {
+        from.push(...dynamic.filter((other) => other !== name && hostOf(other) === host));
+      }
+      return from.map((other) => dynamic.indexOf(other)).filter((j) => j >= 0 && mu[j] > 0);
+    });
+  }
+  buildSources();
+
+  function computeAccelerations() {
+    acc.fill(0);
+    for (let i = 0; i < n; i++) {
+      for (const j of sources[i]) {
+        const dx = pos[j * 3] - pos[i * 3];
+        const dy = pos[j * 3 + 1] - pos[i * 3 + 1];
+        const dz = pos[j * 3 + 2] - pos[i * 3 + 2];
+        const r2 = dx * dx + dy * dy + dz * dz + soft2;
+        const inv3 = 1 / (r2 * Math.sqrt(r2));
+        acc[i * 3] += mu[j] * dx * inv3;
+        acc[i * 3 + 1] += mu[j] * dy * inv3;
+        acc[i * 3 + 2] += mu[j] * dz * inv3;
+      }
+    }
+    // pinned bodies feel the pull but don't respond to it
+    for (let i = 0; i < n; i++) {
+      if (pinned[i]) acc.fill(0, i * 3, i * 3 + 3);
+    }
+  }
+
+  // Leapfrog (kick-drift-kick). Symplectic and time-reversible,
+  // so negative h steps backwards cleanly.
+  function kick(h) {
+    for (let i = 0; i < n; i++) {
+      if (pinned[i]) continue;
+      vel[i * 3] += h * acc[i * 3];
+      vel[i * 3 + 1] += h * acc[i * 3 + 1];
+      vel[i * 3 + 2] += h * acc[i * 3 + 2];
+    }
+  }
+
+  function step(h) {
+    kick(0.5 * h);
+    for (let k = 0; k < n * 3; k++) pos[k] += h * vel[k];
+    computeAccelerations();
+    kick(0.5 * h);
+  }
+
+  reseed();
+  computeAccelerations();
+
+  // Barycenter weights: total mu of their subtree (children-first order
+  // lets a barycenter nested in another one count as its total mass).
+  const weight = { ...mus };
+  for (const name of [...barycenters].reverse()) {
+    weight[name] = names
+      .filter((c) => bodies[c].parent === name)
+      .reduce((sum, c) => sum + weight[c], 0);
+  }
+
+  // Effective mu for a body's motion relative to its parent: the parent's
+  // own (it isn't pulled back), or for a barycenter child the reduced
+  // (W - w)^3 / W^2 of the rest of the system pulling on it.
+  function effectiveMu(name) {
+    const parent = hostOf(name);
+    if (bodies[parent].type === "barycenter") {
+      const W = weight[parent];
+      return W > 0 ? ((W - weight[name]) ** 3) / (W * W) : 0;
+    }
+    return mus[parent];
+  }
+
+  const muEff = {};
+  for (const name of names) {
+    if (bodies[name].type !== "sun") muEff[name] = effectiveMu(name);
+  }
+
+  // mutable kinematics map (heliocentric, like Option A): name -> { position, velocity, ... }
+  const kin = {};
+
+  const vec3 = (arr, i) => ({ x: arr[i * 3], y: arr[i * 3 + 1], z: arr[i * 3 + 2] });
+  const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+
+  function writeState() {
+    const si = dynamic.indexOf(sun);
+    const sunP = vec3(pos, si), sunV = vec3(vel, si), sunA = vec3(acc, si);
+
+    const abs = {};
+    dynamic.forEach((name, i) => {
+      abs[name] = {
+        position: sub(vec3(pos, i), sunP),
+        velocity: sub(vec3(vel, i), sunV),
+        acceleration: sub(vec3(acc, i), sunA),
+      };
+    });
+
+    // barycenters: weighted centroid of their children
+    for (const name of [...barycenters].reverse()) {
+      const W = weight[name];
+      const c = { position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 }, acceleration: { x: 0, y: 0, z: 0 } };
+      for (const child of names.filter((n) => bodies[n].parent === name)) {
+        const w = W > 0 ? weight[child] / W : 0;
+        for (const key of ["position", "velocity", "acceleration"]) {
+          c[key].x += abs[child][key].x * w;
+          c[key].y += abs[child][key].y * w;
+          c[key].z += abs[child][key].z * w;
+        }
+      }
+      abs[name] = c;
+    }
+
+    // parent-relative frame + osculating elements
+    for (const name of names) {
+      const parentName = quantum.parentOf(name);
+      const parent = parentName ? abs[parentName] : abs[sun];
+      const relative = {
+        position: sub(abs[name].position, parent.position),
+        velocity: sub(abs[name].velocity, parent.velocity),
+        acceleration: sub(abs[name].acceleration, parent.acceleration),
+      };
+      const osc = name === sun
+        ? null
+        : elementsFromState(relative.position, relative.velocity, muEff[name], t);
+
+      kin[name] = {
+        parent: parentName,
+        ...abs[name],
+        relative,
+        trueAnomaly: osc ? osc.trueAnomaly : null,
+        elements: osc ? osc.elements : null,
+      };
+    }
+  }
+
+  // Specific orbital energy v^2/2 - mu/r of each orbiting body about its
+  // parent (from kin); >= 0 means it has escaped
+  function orbitEnergies() {
+    const out = {};
+    for (const name of names) {
+      if (name === sun || !bodies[name].orbit || bodies[name].type === "static" || !(muEff[name] > 0)) continue;
+      const { position: r, velocity: v } = kin[name].relative;
+      out[name] = 0.5 * (v.x * v.x + v.y * v.y + v.z * v.z) - muEff[name] / Math.hypot(r.x, r.y, r.z);
+    }
+    return out;
+  }
+
+  writeState();
+  let initialEnergies = orbitEnergies();
+
+  function update(dt) {
+    if (paused) return;
+    const simDt = dt * (config.timeScale ?? 1);
+    const steps = Math.max(1, Math.ceil(Math.abs(simDt) / maxStep));
+    const h = simDt / steps;
+    for (let i = 0; i < steps; i++) step(h);
+    timeSum.add(simDt);
+    t = timeSum.value;
+    writeState();
+  }
+
+  function setTime(newT) {
+    t = newT;
+    timeSum.set(newT);
+    reseed();
+    computeAccelerations();
+    writeState();
+    initialEnergies = orbitEnergies();
+  }
+
+  function getTime() {
+    return t;
+  }
+
+  function pause() { paused = true; }
+  function resume() { paused = false; }
+  function isPaused() { return paused; }
+
+  function setObserved(name, observed) {
+    if (!quantum.setObserved(name, observed)) return false;
+    names = sortBodies(quantum.effectiveBodies());
+    muEff[name] = effectiveMu(name);
+
+    // drop it onto its orbit around the new host (kin is Sun-relative; arrays are absolute)
+    const b = bodies[name];
+    const host = kin[quantum.parentOf(name)];
+    const si = dynamic.indexOf(sun);
+    const i = dynamic.indexOf(name);
+    const rp = orbitPos(b.orbit, t), rv = orbitVel(b.orbit, t);
+    pos[i * 3] = pos[si * 3] + host.position.x + rp.x;
+    pos[i * 3 + 1] = pos[si * 3 + 1] + host.position.y + rp.y;
+    pos[i * 3 + 2] = pos[si * 3 + 2] + host.position.z + rp.z;
+    vel[i * 3] = vel[si * 3] + host.velocity.x + rv.x;
+    vel[i * 3 + 1] = vel[si * 3 + 1] + host.velocity.y + rv.y;
+    vel[i * 3 + 2] = vel[si * 3 + 2] + host.velocity.z + rv.z;
+
+    buildSources();
+    computeAccelerations();
+    writeState();
+    // a teleport isn't integrator drift
+    initialEnergies[name] = orbitEnergies()[name];
+    return true;
+  }
+
+  function getState() {
+    return snapshotState(t, kin);
+  }
+
+  function getDiagnostics() {
+    const energies = orbitEnergies();
+    let energyDrift = 0;
+    const unbound = [];
+    for (const [name, e] of Object.entries(energies)) {
+      const e0 = initialEnergies[name];
+      if (e >= 0) unbound.push(name);
+      if (e0 < 0) {
+        const drift = (e - e0) / Math.abs(e0);
+        if (Math.abs(drift) > Math.abs(energyDrift)) energyDrift = drift;
+      }
+    }
+    return { energyDrift, unbound };
+  }
+
+  return {
+    update,
+    getState,
+    getDiagnostics,
+    setTime,
+    getTime,
+    pause,
+    resume,
+    isPaused,
+    setObserved,
+  };
+}
@@ -0,0 +1,203 @@
+// src/sim/newHorizons.js
+// Import planet configs from the Outer Wilds "New Horizons" mod (one JSON
+// per body) into a system file for the loader (src/sim/systemLoader.js).
+//
+// Read: name, starSystem, Base (surfaceSize, groundSize, surfaceGravity,
+// centerOfSolarSystem), Orbit (primaryBody, semiMajorAxis, eccentricity,
+// inclination, longitudeOfAscendingNode, argumentOfPeriapsis, trueAnomaly)
+// and Star (size, tint). Every other field is listed in `unsupported`
+// rather than dropped silently. New Horizons angles are degrees.
+//
+// Bodies in the vanilla "SolarSystem" are merged into the bundled system
+// (and may edit vanilla bodies); any other starSystem becomes a system of its own.
+// Pure; no Three.js, no DOM.
+
+const TAU = Math.PI * 2;
+const DEG = Math.PI / 180;
+
+const VANILLA = "SolarSystem";
+
+// Fields the importer understands; anything else gets reported.
+const SUPPORTED = {
+  "": ["$schema", "name", "starSystem", "Base", "Orbit", "Star"],
+  Base: ["surfaceSize", "groundSize", "surfaceGravity", "centerOfSolarSystem"],
+  Orbit: [
+    "primaryBody", "semiMajorAxis", "eccentricity", "inclination",
+    "longitudeOfAscendingNode", "argumentOfPeriapsis", "trueAnomaly", "isMoon",
+  ],
+  Star: ["size", "tint"],
+};
+
+// New Horizons names for vanilla bodies that don't map onto our keys by spelling
+const ALIASES = {
+  "Hourglass Twins": "TwinsBarycenter",
+  "Hourglass Twins Focal": "TwinsBarycenter",
+  "The Interloper": "Interloper",
+  "Comet": "Interloper",
+  "The Attlerock": "Attlerock",
+  "Moon": "Attlerock",
+};
+
+/**
+ * Body key for a New Horizons name: "Giant's Deep" -> "GiantsDeep",
+ * "TIMBER_HEARTH" -> "TimberHearth", "Wetrock" -> "Wetrock".
+ */
+export function bodyKey(name) {
+  if (ALIASES[name]) return ALIASES[name];
+  return name
+    .replace(/['’]/g, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((w) => (w === w.toUpperCase() ? w[0] + w.slice(1).toLowerCase() : w[0].toUpperCase() + w.slice(1)))
+    .join("");
+}
+
+// Does this parsed JSON look like a New Horizons body config?
+export function isNewHorizonsConfig(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) return false;
+  if (typeof json.$schema === "string" && /new-horizons/i.test(json.$schema)) return true;
+  return typeof json.name === "string" && ("Base" in json || "Orbit" in json || "Star" in json);
+}
+
+// Mean anomaly from true anomaly (radians) for an ellipse of eccentricity e.
+function meanFromTrue(nu, e) {
+  const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2));
+  return E - e * Math.sin(E);
+}
+
+// "#rrggbb" from a New Horizons {r, g, b} (0-255) color
+function hexColor(c) {
+  const ch = (v) => Math.round(Math.min(Math.max(v ?? 255, 0), 255)).toString(16).padStart(2, "0");
+  return `#${ch(c.r)}${ch(c.g)}${ch(c.b)}`;
+}
+
+// Unused fields of one config, as "Base.ambientLight"-style paths.
+function unsupportedFields(cfg) {
+  const out = [];
+  for (const key of Object.keys(cfg)) {
+    if (!SUPPORTED[""].includes(key)) out.push(key);
+  }
+  for (const section of ["Base", "Orbit", "Star"]) {
+    if (!cfg[section] || typeof cfg[section] !== "object") continue;
+    for (const key of Object.keys(cfg[section])) {
+      if (!SUPPORTED[section].includes(key)) out.push(`${section}.${key}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Turn New Horizons configs into a system file (game meters, see
+ * src/systems/system.schema.json) ready for loadSystem().
+ *
+ * configs: parsed body configs. base: the bundled vanilla system file,
+ * used for vanilla-system bodies and for the loop/timing of custom systems.
+ *
+ * Returns { system, unsupported: ["Wetrock: Props, Base.ambientLight", ...] }.
+ * Throws if a config has no name.
+ */
+export function importNewHorizons(configs, base) {
+  const unsupported = [];
+  const note = (name, fields) => {
+    if (fields.length > 0) unsupported.push(`${name}: ${fields.join(", ")}`);
+  };
+
+  for (const cfg of configs) {
+    if (typeof cfg.name !== "string" || !cfg.name) throw new Error("New Horizons config has no name");
+  }
+
+  // one system per import: the first config's starSystem wins
+  const starSystem = configs[0]?.starSystem ?? VANILLA;
+  const chosen = configs.filter((c) => (c.starSystem ?? VANILLA) === starSystem);
+  for (const c of configs) {
+    if (!chosen.includes(c)) note(c.name, [`starSystem '${c.starSystem ?? VANILLA}' (only '${starSystem}' imported)`]);
+  }
+
+  const vanilla = starSystem === VANILLA;
+  const system = vanilla
+    ? structuredClone(base)
+    : {
+      units: "game-meters",
+      name: starSystem,
+      scale: base.scale,
+      mu: base.mu,
+      timeScale: base.timeScale,
+      loop: structuredClone(base.loop),
+      trails: { ...structuredClone(base.trails ?? {}), bodies: [], predict: { bodies: [] } },
+      bodies: {},
+    };
+  delete system.$schema;
+  if (vanilla) system.name = `${base.name ?? "Outer Wilds"} + New Horizons`;
+
+  // the custom system's center (or its star) is our Sun
+  const center = !vanilla && (chosen.find((c) => c.Base?.centerOfSolarSystem) ?? chosen.find((c) => c.Star));
+  const keyOf = (name) => (center && name === center.name ? "Sun" : bodyKey(name));
+
+  // G*M (m^3/s^2) from surface gravity, like the game's inverse-square volumes
+  const muOf = {};
+  for (const c of chosen) {
+    const r = c.Base?.surfaceSize ?? c.Base?.groundSize;
+    if (c.Base?.surfaceGravity > 0 && r > 0) muOf[keyOf(c.name)] = c.Base.surfaceGravity * r * r;
+  }
+
+  for (const c of chosen) {
+    const key = keyOf(c.name);
+    const fields = unsupportedFields(c);
+    const body = system.bodies[key] ?? {};
+    if (key !== c.name && !system.bodies[key]) body.label = c.name;
+
+    const radius = c.Star?.size ?? c.Base?.surfaceSize ?? c.Base?.groundSize;
+    if (radius > 0) body.radius = radius;
+
+    if (c.Star) {
+      if (c.Star.tint) body.color = hexColor(c.Star.tint);
+      if (key !== "Sun") fields.push("Star (one star per system; drawn as a planet)");
+    }
+    if (key === "Sun") {
+      body.type = "sun";
+      if (muOf.Sun) body.mu = muOf.Sun;
+    }
+
+    if (key !== "Sun") {
+      const orbit = c.Orbit ?? {};
+      const parentName = orbit.primaryBody;
+      const parent = parentName ? keyOf(parentName) : "Sun";
+      if (!parentName && !system.bodies[key]) fields.push("Orbit.primaryBody (missing; orbiting the Sun)");
+
+      if (parent !== "Sun") body.parent = parent;
+      else delete body.parent;
+      body.type ??= parent === "Sun" ? "primary" : "moon";
+
+      if (orbit.semiMajorAxis > 0 || !system.bodies[key]) {
+        const e = Math.min(Math.max(orbit.eccentricity ?? 0, 0), 0.99);
+        const a = orbit.semiMajorAxis > 0 ? orbit.semiMajorAxis : 1000;
+        if (!(orbit.semiMajorAxis > 0)) fields.push("Orbit.semiMajorAxis (missing; using 1000 m)");
+        body.orbit = {
+          semiMajorAxis: a,
+          eccentricity: e,
+          argPeriapsis: (orbit.argumentOfPeriapsis ?? 0) * DEG,
+          meanAnomaly: meanFromTrue((orbit.trueAnomaly ?? 0) * DEG, e),
+          inclination: (orbit.inclination ?? 0) * DEG,
+          node: (orbit.longitudeOfAscendingNode ?? 0) * DEG,
+        };
+        delete body.position;
+        // with a known parent mass the period is its own; otherwise the loader
+        // derives it from the system mu like the vanilla bodies
+        if (muOf[parent]) body.orbit.period = TAU * Math.sqrt(a ** 3 / muOf[parent]);
+      }
+    }
+
+    if (!system.bodies[key]) {
+      system.trails.bodies.push(key);
+    }
+    system.bodies[key] = body;
+    note(c.name, fields);
+  }
+
+  if (!vanilla && !system.bodies.Sun) {
+    system.bodies.Sun = { type: "sun", radius: 2000 };
+    unsupported.push(`${starSystem}: no star or center body found; added a default Sun`);
+  }
+
+  return { system, unsupported };
+}
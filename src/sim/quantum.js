@@ -0,0 +1,74 @@
+// src/sim/quantum.js
+// "quantum" bodies: their orbit parent switches among a set of hosts, but
+// only while nobody is looking. The view reports observation each frame;
+// each time a quantum body goes from observed to unobserved it relocates.
+//
+// Body config:
+//   { type: "quantum", hosts: ["GiantsDeep", ...], parent: <starting host>,
+//     orbit: {...} (same orbit around whichever host), seed: 1 (PRNG seed) }
+import { mulberry32 } from "./random.js";
+
+/**
+ * Track the current host of every quantum body in `bodies`.
+ * Returns:
+ * - names: quantum body names
+ * - parentOf(name): current parent of any body (host for quantum ones)
+ * - effectiveBodies(): bodies map with quantum parents swapped in (for sortBodies)
+ * - setObserved(name, observed): returns true if the body just relocated
+ * - setHost(name, host): move a quantum body to `host` directly (to mirror
+ *   another sim); returns true if it moved
+ *
+ * Throws if a quantum body has no hosts or names a host that doesn't exist.
+ */
+export function createQuantumHosts(bodies) {
+  const current = {};
+  const observed = {};
+  const rng = {};
+
+  for (const [name, b] of Object.entries(bodies)) {
+    if (b.type !== "quantum") continue;
+    if (!Array.isArray(b.hosts) || b.hosts.length === 0) {
+      throw new Error(`${name}.hosts must list at least one host body`);
+    }
+    for (const host of b.hosts) {
+      if (!bodies[host]) throw new Error(`${name}.hosts '${host}' not found`);
+    }
+    current[name] = b.parent ?? b.hosts[0];
+    // unknown until the view first reports, so loading never triggers a jump
+    observed[name] = false;
+    rng[name] = mulberry32(b.seed ?? 1);
+  }
+
+  function parentOf(name) {
+    return current[name] ?? bodies[name].parent ?? null;
+  }
+
+  function effectiveBodies() {
+    const out = { ...bodies };
+    for (const [name, host] of Object.entries(current)) {
+      out[name] = { ...bodies[name], parent: host };
+    }
+    return out;
+  }
+
+  function setObserved(name, isObserved) {
+    if (!(name in current)) return false;
+    const was = observed[name];
+    observed[name] = isObserved;
+    if (isObserved || !was) return false;
+
+    const choices = bodies[name].hosts.filter((h) => h !== current[name]);
+    if (choices.length === 0) return false;
+    current[name] = choices[Math.floor(rng[name]() * choices.length)];
+    return true;
+  }
+
+  function setHost(name, host) {
+    if (!(name in current) || current[name] === host) return false;
+    if (!bodies[name].hosts.includes(host)) throw new Error(`${name} can't move to '${host}': not one of its hosts`);
+    current[name] = host;
+    return true;
+  }
+
+  return { names: Object.keys(current), parentOf, effectiveBodies, setObserved, setHost };
+}
@@ -0,0 +1,13 @@
+// src/sim/random.js
+// Small seeded PRNG (mulberry32), so a given seed replays the same sequence.
+// Used wherever the sim needs "random" but reproducible choices.
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,98 @@
+// src/sim/referenceFrames.js
+// Reference frames: a pure transform between sim.getState() and the view.
+// The sim always works heliocentric; this re-expresses a snapshot in
+// another frame. No Three.js here.
+//
+// frame:
+// - { type: "inertial" }                            Sun-fixed (the sim's own frame)
+// - { type: "body", center }                        center body stays at the origin
+// - { type: "rotating", center, reference }         center at the origin, and the
+//   center -> reference direction stays fixed on +X, with their orbital plane as XY
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x,
+});
+const normalize = (v) => {
+  const l = Math.hypot(v.x, v.y, v.z);
+  return l > 0 ? { x: v.x / l, y: v.y / l, z: v.z / l } : null;
+};
+
+// Row-major 3x3 rotation whose rows are the co-rotating frame's axes.
+function rotatingBasis(state, center, reference) {
+  const c = state.bodies[center], r = state.bodies[reference];
+  const x = normalize(sub(r.position, c.position));
+  if (!x) return IDENTITY;
+
+  // orbital plane normal from the pair's relative angular momentum;
+  // fall back to world +Z if they aren't moving relative to each other
+  let z = normalize(cross(sub(r.position, c.position), sub(r.velocity, c.velocity)));
+  if (!z || Math.abs(dot(z, x)) > 0.999) z = { x: 0, y: 0, z: 1 };
+  const y = normalize(cross(z, x));
+  z = cross(x, y);
+
+  return [x.x, x.y, x.z, y.x, y.y, y.z, z.x, z.y, z.z];
+}
+
+// Angular velocity of the rotating frame: the reference's rate around the
+// center, (r x v) / |r|^2 (the plane itself is taken as not precessing).
+function frameSpin(state, center, reference) {
+  const c = state.bodies[center], r = state.bodies[reference];
+  const rel = sub(r.position, c.position);
+  const r2 = dot(rel, rel);
+  if (r2 === 0) return { x: 0, y: 0, z: 0 };
+  const h = cross(rel, sub(r.velocity, c.velocity));
+  return { x: h.x / r2, y: h.y / r2, z: h.z / r2 };
+}
+
+function applyMatrix(m, v) {
+  return {
+    x: m[0] * v.x + m[1] * v.y + m[2] * v.z,
+    y: m[3] * v.x + m[4] * v.y + m[5] * v.z,
+    z: m[6] * v.x + m[7] * v.y + m[8] * v.z,
+  };
+}
+
+/**
+ * Re-express a sim snapshot in the given frame.
+ * Returns:
+ * - positions: name -> {x,y,z} in the frame
+ * - velocities: name -> {x,y,z} as seen in the frame (relative to the
+ *   center, minus the frame's own rotation for rotating frames)
+ * - origin: where the heliocentric origin (the Sun's fixed point) ends up
+ * - rotation: row-major 3x3 rotation applied to heliocentric directions
+ *   (identity unless the frame rotates); orbit rings need it too
+ */
+export function applyReferenceFrame(state, frame) {
+  const type = frame?.type ?? "inertial";
+  const centerName = type === "inertial" ? null : frame.center;
+  if (centerName !== null && !state.bodies[centerName]) {
+    throw new Error(`Reference frame center '${centerName}' not found`);
+  }
+  if (type === "rotating" && !state.bodies[frame.reference]) {
+    throw new Error(`Reference frame reference '${frame.reference}' not found`);
+  }
+
+  const center = centerName ? state.positions[centerName] : { x: 0, y: 0, z: 0 };
+  const centerVel = centerName ? state.bodies[centerName].velocity : { x: 0, y: 0, z: 0 };
+  const rotates = type === "rotating" && frame.reference !== centerName;
+  const rotation = rotates ? rotatingBasis(state, centerName, frame.reference) : IDENTITY;
+  const spin = rotates ? frameSpin(state, centerName, frame.reference) : { x: 0, y: 0, z: 0 };
+
+  const toFrame = (p) => applyMatrix(rotation, sub(p, center));
+
+  const positions = {};
+  const velocities = {};
+  for (const [name, p] of Object.entries(state.positions)) {
+    positions[name] = toFrame(p);
+    const v = sub(state.bodies[name].velocity, centerVel);
+    velocities[name] = applyMatrix(rotation, sub(v, cross(spin, sub(p, center))));
+  }
+
+  return { positions, velocities, origin: toFrame({ x: 0, y: 0, z: 0 }), rotation };
+}
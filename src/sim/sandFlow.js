@@ -0,0 +1,63 @@
+// src/sim/sandFlow.js
+// Hourglass Twins sand transfer as a pure function of loop time: Ash Twin's
+// sand pours through the column onto Ember Twin over the loop.
+// No Three.js here; solarView turns the numbers into column/particles/shells.
+import { sampleCurve } from "./timeLoop.js";
+
+// Steepest segment of a cumulative keyframe curve (fraction per second).
+function peakRate(keys) {
+  let peak = 0;
+  for (let i = 1; i < keys.length; i++) {
+    const dt = keys[i][0] - keys[i - 1][0];
+    if (dt > 0) peak = Math.max(peak, Math.abs(keys[i][1] - keys[i - 1][1]) / dt);
+  }
+  return peak;
+}
+
+// Slope of the curve at t (the segment t falls in; 0 outside the keys).
+function rateAt(keys, t) {
+  for (let i = 1; i < keys.length; i++) {
+    const [t0, v0] = keys[i - 1];
+    const [t1, v1] = keys[i];
+    if (t >= t0 && t < t1) return (v1 - v0) / (t1 - t0);
+  }
+  return 0;
+}
+
+/**
+ * Outer radius of a sand layer holding `fraction` of the full volume, on a
+ * sphere of radius shell.core; shell.full is the radius when fraction = 1.
+ */
+export function sandShellRadius(shell, fraction) {
+  const f = Math.min(Math.max(fraction, 0), 1);
+  const core3 = shell.core ** 3;
+  return Math.cbrt(core3 + f * (shell.full ** 3 - core3));
+}
+
+/**
+ * Sand state at loop time t.
+ * Returns:
+ * - transferred: 0..1 of the sand that has left `sand.from`
+ * - rate: transfer rate (fraction per second)
+ * - flow: rate relative to the curve's peak, 0..1 (drives the column)
+ * - shells: { [from], [to] } -> { fraction (of all the sand it holds), radius }
+ */
+export function sandStateAt(sand, t) {
+  const { from, to, transferred: keys, shells } = sand;
+  const transferred = Math.min(Math.max(sampleCurve(keys, t), 0), 1);
+  const rate = Math.max(rateAt(keys, t), 0);
+  const peak = peakRate(keys);
+
+  const fractions = { [from]: 1 - transferred, [to]: transferred };
+  const out = {};
+  for (const [name, fraction] of Object.entries(fractions)) {
+    out[name] = { fraction, radius: shells[name] ? sandShellRadius(shells[name], fraction) : 0 };
+  }
+
+  return {
+    transferred,
+    rate,
+    flow: peak > 0 ? rate / peak : 0,
+    shells: out,
+  };
+}
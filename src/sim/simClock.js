@@ -0,0 +1,147 @@
+// src/sim/simClock.js
+// Fixed-step clock between the render loop and a sim: the sim only ever
+// advances in equal steps, whatever the frame rate, and frames are drawn
+// between the last two sim states. Pure; no Three.js, no DOM.
+
+const lerp = (a, b, k) => a + (b - a) * k;
+const lerpVec = (a, b, k) => ({ x: lerp(a.x, b.x, k), y: lerp(a.y, b.y, k), z: lerp(a.z, b.z, k) });
+
+/**
+ * A running total of time steps that doesn't drift: compensated (Kahan)
+ * summation, so millions of small steps still add up to the right t.
+ *
+ * Returns { add(dt), set(t), value }.
+ */
+export function createTimeSum(t0 = 0) {
+  let sum = t0;
+  let carry = 0;
+  return {
+    add(dt) {
+      const y = dt - carry;
+      const next = sum + y;
+      carry = next - sum - y;
+      sum = next;
+    },
+    set(t) {
+      sum = t;
+      carry = 0;
+    },
+    get value() {
+      return sum;
+    },
+  };
+}
+
+/**
+ * A sim state (see createSolarSim's getState) `k` of the way from a to b.
+ * Bodies whose parent changed in between (quantum jumps) snap to b.
+ */
+export function lerpState(a, b, k) {
+  if (k <= 0) return a;
+  if (k >= 1) return b;
+  const positions = {};
+  const bodies = {};
+  for (const [name, body] of Object.entries(b.bodies)) {
+    const from = a.bodies[name];
+    if (!from || from.parent !== body.parent) {
+      positions[name] = b.positions[name];
+      bodies[name] = body;
+      continue;
+    }
+    positions[name] = lerpVec(a.positions[name], b.positions[name], k);
+    bodies[name] = {
+      ...body,
+      position: lerpVec(from.position, body.position, k),
+      velocity: lerpVec(from.velocity, body.velocity, k),
+      relative: {
+        ...body.relative,
+        position: lerpVec(from.relative.position, body.relative.position, k),
+        velocity: lerpVec(from.relative.velocity, body.relative.velocity, k),
+      },
+    };
+  }
+  return { ...b, t: lerp(a.t, b.t, k), positions, bodies };
+}
+
+/**
+ * Fixed-step driver for a sim.
+ *
+ * options:
+ * - step: wall seconds per sim update (1/120)
+ * - maxSteps: most updates per frame (30); after a long stall (a
+ *   background tab) the rest is dropped, so the sim slows down for a
+ *   frame instead of jumping
+ *
+ * Returns:
+ * - advance(sim, dt): add dt wall seconds, run every whole step due and
+ *   return the state to draw, interpolated between the last two steps (so
+ *   it trails the sim by less than one step)
+ * - stepExact(sim, dt): one update of exactly dt, no interpolation (captures)
+ * - reset(sim): forget the history after the sim jumped; returns its state.
+ *   advance() notices setTime() and new sims by itself.
+ * - elapsed(sim): running time of the clock in seconds, interpolated like
+ *   the state; stands still while the sim is paused (drives the Sun's
+ *   surface)
+ * - setElapsed(seconds): restart the running time from there (captures
+ *   start it from the sim time so they don't depend on the session)
+ */
+export function createSimClock(options = {}) {
+  const step = options.step ?? 1 / 120;
+  const maxSteps = options.maxSteps ?? 30;
+
+  let owner = null;
+  let lastTime = 0;
+  let prev = null;
+  let curr = null;
+  let accumulator = 0;
+  let alpha = 0;
+  let ticks = 0; // steps taken while running
+  let extra = 0; // running time from stepExact()
+
+  function reset(sim) {
+    owner = sim;
+    curr = prev = sim.getState();
+    lastTime = sim.getTime();
+    accumulator = 0;
+    alpha = 0;
+    return curr;
+  }
+
+  function advance(sim, dt) {
+    if (sim !== owner || sim.getTime() !== lastTime) reset(sim);
+
+    accumulator += Math.max(dt, 0);
+    const due = Math.floor(accumulator / step);
+    accumulator -= due * step;
+    const n = Math.min(due, maxSteps);
+
+    for (let i = 0; i < n; i++) {
+      // keep the state one step back for interpolation
+      if (i === n - 1) prev = n === 1 ? curr : sim.getState();
+      sim.update(step);
+      if (!sim.isPaused()) ticks++;
+    }
+    if (n > 0) curr = sim.getState();
+    lastTime = sim.getTime();
+    alpha = accumulator / step;
+    return lerpState(prev, curr, alpha);
+  }
+
+  function stepExact(sim, dt) {
+    sim.update(dt);
+    if (!sim.isPaused()) extra += dt;
+    return reset(sim);
+  }
+
+  function elapsed(sim) {
+    return (ticks + (sim.isPaused() ? 0 : alpha)) * step + extra;
+  }
+
+  function setElapsed(seconds) {
+    ticks = 0;
+    alpha = 0;
+    extra = seconds;
+  }
+
+  return { advance, stepExact, reset, elapsed, setElapsed };
+}
@@ -1,137 +1,41 @@
 // src/sim/solarConfig.js
-// Pure configuration: sizes and orbit params.
+// The bundled Outer Wilds system: src/systems/outerWilds.json, run through
+// the system loader (game meters -> visual units, derived periods).
 // These values are “look-right” guesses, not canonical.
-
-// Helper: Kepler's third law for Outer Wilds
-// T = tau * sqrt(r^3 / (4e8))
-// where T is period in seconds, r is orbital radius in meters, tau = 2*pi
-function keplerPeriod(radiusMeters) {
-  const TAU = Math.PI * 2;
-  const K = 4e8; // Outer Wilds constant
-  return TAU * Math.sqrt((radiusMeters ** 3) / K);
-}
-
-// Scale factor to convert game meters to visualization units
-// (adjust this to make orbits look right in your visualization)
-const SCALE = 1 / 100; // 100 game meters = 1 visual unit
-
-export const solarConfig = {
-  timeScale: 0.25, // speed up time if needed (e.g., 60 = 60x faster)
-  order: [
-    "Sun",
-    "TwinsBarycenter",
-    "AshTwin",
-    "EmberTwin",
-    "TimberHearth",
-    "Attlerock",
-    "BrittleHollow",
-    "HollowsLantern",
-    "GiantsDeep",
-    "DarkBramble",
-  ],
-  bodies: {
-    Sun: {
-      type: "sun",
-      radius: 2001.75 * SCALE, // from spreadsheet: ~4000m at end of loop
-    },
-
-    // Hourglass Twins: barycenter orbits the sun
-    TwinsBarycenter: {
-      type: "barycenter",
-      orbit: {
-        radius: 5000 * SCALE,
-        period: keplerPeriod(5000),
-        phase: 0.2,
-        inclination: 0.05,
-      },
-    },
-    AshTwin: {
-      type: "binaryChild",
-      parent: "TwinsBarycenter",
-      orbit: {
-        radius: 250 * SCALE,        // each twin orbits 250m from barycenter
-        period: keplerPeriod(250),
-        phase: 0.0,
-        inclination: 0.02,
-      },
-      radius: 169 * SCALE,          // from spreadsheet
-    },
-    EmberTwin: {
-      type: "binaryChild",
-      parent: "TwinsBarycenter",
-      orbit: {
-        radius: 250 * SCALE,
-        period: keplerPeriod(250),
-        phase: Math.PI,             // opposite side of barycenter
-        inclination: 0.02,
-      },
-      radius: 170 * SCALE,
-    },
-
-    TimberHearth: {
-      type: "primary",
-      orbit: {
-        radius: 8593.085981 * SCALE,
-        period: keplerPeriod(8593.085981),
-        phase: 1.3,
-        inclination: 0.03,
-      },
-      radius: 254 * SCALE,
-    },
-    Attlerock: {
-      type: "moon",
-      parent: "TimberHearth",
-      orbit: {
-        radius: 900 * SCALE,
-        period: keplerPeriod(900),
-        phase: 0.0,
-        inclination: 0.15,
-      },
-      radius: 80 * SCALE,
-    },
-
-    BrittleHollow: {
-      type: "primary",
-      orbit: {
-        radius: 11690.89092 * SCALE,
-        period: keplerPeriod(11690.89092),
-        phase: 2.4,
-        inclination: 0.02,
-      },
-      radius: 272 * SCALE,
-    },
-    HollowsLantern: {
-      type: "moon",
-      parent: "BrittleHollow",
-      orbit: {
-        radius: 1000 * SCALE,
-        period: keplerPeriod(1000),
-        phase: 0.8,
-        inclination: 0.1,
-      },
-      radius: 97.3 * SCALE,
-    },
-
-    GiantsDeep: {
-      type: "primary",
-      orbit: {
-        radius: 16457.58738 * SCALE,
-        period: keplerPeriod(16457.58738),
-        phase: 0.5,
-        inclination: 0.01,
-      },
-      radius: 500 * SCALE,
-    },
-
-    DarkBramble: {
-      type: "primary",
-      orbit: {
-        radius: 20000 * SCALE,
-        period: keplerPeriod(20000),
-        phase: 3.2,
-        inclination: 0.04,
-      },
-      radius: 203.3 * SCALE,
-    },
-  },
-};
+//
+// File format: src/systems/system.schema.json. In short:
+//
+// Orbit blocks accept either circular params or Keplerian elements:
+//   circular:   { radius, period, phase, inclination, node }
+//   elliptical: { semiMajorAxis, eccentricity, argPeriapsis, meanAnomaly,
+//                 period, inclination, node }
+// radius is used as the semi-major axis and phase as the mean anomaly at
+// epoch (t = 0) when the Keplerian names are omitted. Angles are radians.
+// A missing period comes from Kepler's third law with the system's `mu`.
+//
+// Hierarchy: a body orbits its `parent` (any depth), or the origin/Sun if it
+// has none. Update order is derived from the parent links; no manual order.
+// A body with no orbit sits at a fixed `position` offset from its parent.
+//
+// Body types: sun, primary, moon, barycenter, binaryChild, quantum,
+// comet (gets an ice tail), station (small hull, no sphere),
+// static (fixed in place, e.g. the White Hole).
+//
+// Looks: `color` is the flat body color (also used for its trail); an optional
+// `shader: { type, colors, params }` swaps in a procedural surface
+// (types and their defaults: src/view/planetShaders.js).
+// `atmosphere: { thickness, color, density, fog }` adds a Sun-lit scattering
+// shell (src/view/atmosphereView.js); fog makes it a dense haze.
+//
+// Other systems can be loaded at runtime (drag-and-drop or the GUI), as can
+// New Horizons mod planet configs (src/sim/newHorizons.js).
+import outerWilds from "../systems/outerWilds.json" with { type: "json" };
+import { loadSystem } from "./systemLoader.js";
+
+// The file as written (game meters), e.g. as the base for imported mods
+export const bundledSystem = outerWilds;
+
+export const solarConfig = loadSystem(outerWilds);
+
+// Visual units per game meter (100 game meters = 1 visual unit)
+export const SCALE = solarConfig.scale;
@@ -1,8 +1,13 @@
 // src/sim/solarSim.js
-// “Option A”: simple circular + hierarchical orbits.
+// “Option A”: Keplerian (circular or elliptical) + hierarchical orbits.
 // No physics. Just a deterministic motion model that looks right.
 
+import { sortBodies } from "./hierarchy.js";
+import { createQuantumHosts } from "./quantum.js";
+import { createTimeSum } from "./simClock.js";
+
 const TAU = Math.PI * 2;
+const ORIGIN = { x: 0, y: 0, z: 0 };
 
 function rotateX(v, angle) {
   const c = Math.cos(angle), s = Math.sin(angle);
@@ -14,91 +19,360 @@ function rotateZ(v, angle) {
   return { x: v.x * c - v.y * s, y: v.x * s + v.y * c, z: v.z };
 }
 
-function orbitPos({ radius, period, phase = 0, inclination = 0, node = 0 }, t) {
-  // period <= 0 means "static"
-  const theta = phase + (period > 0 ? (TAU * (t / period)) : 0);
+// Solve Kepler's equation M = E - e*sin(E) for the eccentric anomaly E.
+// M is reduced into [-PI, PI) first (the root then lies in [-PI, PI]) and
+// the whole turns are added back, so E stays continuous in M. Newton
+// iteration, starting at +-PI for high eccentricity, falls back to
+// bisection whenever a step would leave the bracket around the root.
+export function solveKepler(M, e) {
+  if (e === 0) return M;
+  const turns = Math.floor((M + Math.PI) / TAU) * TAU;
+  const m = M - turns;
 
-  // base orbit in XY plane (not XZ)
-  let p = {
-    x: radius * Math.cos(theta),
-    y: radius * Math.sin(theta),
-    z: 0,
+  // f(E) = E - e*sin(E) - m is increasing, so the root is bracketed in [lo, hi]
+  let lo = -Math.PI, hi = Math.PI;
+  let E = e < 0.8 ? m : (m < 0 ? -Math.PI : Math.PI);
+  for (let i = 0; i < 60; i++) {
+    const f = E - e * Math.sin(E) - m;
+    if (f === 0) break;
+    if (f > 0) hi = E;
+    else lo = E;
+    let next = E - f / (1 - e * Math.cos(E));
+    if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+    const dE = next - E;
+    E = next;
+    if (Math.abs(dE) < 1e-12) break;
+  }
+  return E + turns;
+}
+
+// Normalise an orbit block into Keplerian elements.
+// Circular configs ({ radius, phase }) map onto e = 0, a = radius, M0 = phase.
+export function orbitElements(orbit) {
+  const {
+    radius,
+    semiMajorAxis = radius,
+    eccentricity = 0,
+    argPeriapsis = 0,
+    phase = 0,
+    meanAnomaly = phase,
+    period = 0,
+    inclination = 0,
+    node = 0,
+  } = orbit;
+
+  return {
+    a: semiMajorAxis,
+    e: eccentricity,
+    argPeriapsis,
+    meanAnomaly,
+    period,
+    inclination,
+    node,
   };
+}
 
-  // optional orbit plane orientation:
+// Rotate a vector from the orbital plane into the parent frame.
+function orient({ argPeriapsis, inclination, node }, v) {
+  // 0) rotate around Z for argument of periapsis (within the orbit plane)
+  v = rotateZ(v, argPeriapsis);
   // 1) rotate around X for inclination
-  p = rotateX(p, inclination);
+  v = rotateX(v, inclination);
   // 2) rotate around Z for ascending node
-  p = rotateZ(p, node);
+  return rotateZ(v, node);
+}
+
+// Position in the orbital plane from the eccentric anomaly, rotated into the parent frame.
+function orientedPos(el, E) {
+  const { a, e } = el;
+  const b = a * Math.sqrt(1 - e * e);
+
+  // base orbit in XY plane (not XZ), focus at the origin, periapsis on +X
+  return orient(el, {
+    x: a * (Math.cos(E) - e),
+    y: b * Math.sin(E),
+    z: 0,
+  });
+}
+
+function eccentricAnomalyAt(el, t) {
+  // period <= 0 means "static"
+  const M = el.meanAnomaly + (el.period > 0 ? (TAU * (t / el.period)) : 0);
+  return solveKepler(M, el.e);
+}
+
+export function orbitPos(orbit, t) {
+  const el = orbitElements(orbit);
+  return orientedPos(el, eccentricAnomalyAt(el, t));
+}
 
-  return p;
+// Wrap an angle into [0, TAU).
+function wrapAngle(a) {
+  return ((a % TAU) + TAU) % TAU;
+}
+
+function trueAnomalyFromE(E, e) {
+  return wrapAngle(2 * Math.atan2(
+    Math.sqrt(1 + e) * Math.sin(E / 2),
+    Math.sqrt(1 - e) * Math.cos(E / 2)
+  ));
 }
 
 /**
- * Create a sim with named bodies and orbit params.
- * Returns an object with update(dt) and getState().
+ * Full parent-relative orbital state at time t, all analytic:
+ * { position, velocity, acceleration, trueAnomaly, elements }
+ * Acceleration is the Kepler one, -mu * r / |r|^3 with mu = n^2 a^3.
  */
-export function createSolarSim(config) {
-  const bodies = config.bodies;
-  let t = 0;
+export function orbitState(orbit, t) {
+  const el = orbitElements(orbit);
+  const { a, e } = el;
+  const E = eccentricAnomalyAt(el, t);
+  const position = orientedPos(el, E);
+
+  let velocity = { ...ORIGIN };
+  let acceleration = { ...ORIGIN };
+  if (el.period > 0) {
+    const n = TAU / el.period;
+    const b = a * Math.sqrt(1 - e * e);
+    const Edot = n / (1 - e * Math.cos(E));
+    velocity = orient(el, {
+      x: -a * Math.sin(E) * Edot,
+      y: b * Math.cos(E) * Edot,
+      z: 0,
+    });
 
-  // mutable state map: name -> {x,y,z}
-  const state = {};
-  for (const name of Object.keys(bodies)) {
-    state[name] = { x: 0, y: 0, z: 0 };
+    const r = Math.hypot(position.x, position.y, position.z);
+    const k = r > 0 ? -(n * n * a ** 3) / (r ** 3) : 0;
+    acceleration = { x: position.x * k, y: position.y * k, z: position.z * k };
   }
 
-  function update(dt) {
-    t += dt * (config.timeScale ?? 1);
+  return { position, velocity, acceleration, trueAnomaly: trueAnomalyFromE(E, e), elements: el };
+}
 
-    // 1) Sun is origin
-    state.Sun.x = 0; state.Sun.y = 0; state.Sun.z = 0;
+// Analytic time derivative of orbitPos (parent-relative velocity).
+export function orbitVel(orbit, t) {
+  return orbitState(orbit, t).velocity;
+}
 
-    // 2) First pass: compute all “primary” sun-centered bodies and barycenters
-    // We do this in a stable order so parents exist before children.
-    for (const name of config.order) {
-      const b = bodies[name];
+/**
+ * Osculating elements from a parent-relative state vector (r, v) around a
+ * body with gravitational parameter mu, at time t. Same shape as
+ * orbitElements(); meanAnomaly is referred back to the epoch t = 0.
+ * Returns { elements, trueAnomaly }, or null for unbound/degenerate states.
+ */
+export function elementsFromState(r, v, mu, t) {
+  const rLen = Math.hypot(r.x, r.y, r.z);
+  const v2 = v.x * v.x + v.y * v.y + v.z * v.z;
+  if (!(mu > 0) || rLen === 0) return null;
 
-      if (b.type === "sun") continue;
+  const a = 1 / (2 / rLen - v2 / mu);
+  if (!(a > 0)) return null; // parabolic / hyperbolic
 
-      if (b.type === "primary") {
-        state[name] = orbitPos(b.orbit, t);
-      }
+  // angular momentum h = r x v
+  const h = {
+    x: r.y * v.z - r.z * v.y,
+    y: r.z * v.x - r.x * v.z,
+    z: r.x * v.y - r.y * v.x,
+  };
+  const hLen = Math.hypot(h.x, h.y, h.z);
+  if (hLen === 0) return null;
 
-      if (b.type === "barycenter") {
-        state[name] = orbitPos(b.orbit, t);
-      }
-    }
+  const inclination = Math.acos(Math.min(1, Math.max(-1, h.z / hLen)));
+  // ascending node direction = z x h
+  const node = Math.hypot(h.x, h.y) > 1e-12 ? Math.atan2(h.x, -h.y) : 0;
+
+  // eccentricity vector = (v x h) / mu - r / |r|
+  const ev = {
+    x: (v.y * h.z - v.z * h.y) / mu - r.x / rLen,
+    y: (v.z * h.x - v.x * h.z) / mu - r.y / rLen,
+    z: (v.x * h.y - v.y * h.x) / mu - r.z / rLen,
+  };
+  const e = Math.hypot(ev.x, ev.y, ev.z);
+
+  // Undo node + inclination to get in-plane coordinates, then read angles there.
+  const toPlane = (p) => rotateX(rotateZ(p, -node), -inclination);
+  const rp = toPlane(r);
+  const u = Math.atan2(rp.y, rp.x); // argument of latitude
+  const argPeriapsis = e > 1e-9 ? (() => {
+    const ep = toPlane(ev);
+    return Math.atan2(ep.y, ep.x);
+  })() : 0;
+  const trueAnomaly = u - argPeriapsis;
+
+  const E = 2 * Math.atan2(
+    Math.sqrt(1 - e) * Math.sin(trueAnomaly / 2),
+    Math.sqrt(1 + e) * Math.cos(trueAnomaly / 2)
+  );
+  const M = E - e * Math.sin(E);
+  const period = TAU * Math.sqrt(a ** 3 / mu);
 
-    // 3) Second pass: moons + twins around barycenters
-    for (const name of config.order) {
+  return {
+    elements: {
+      a,
+      e,
+      argPeriapsis,
+      meanAnomaly: wrapAngle(M - TAU * (t / period)),
+      period,
+      inclination,
+      node,
+    },
+    trueAnomaly: wrapAngle(trueAnomaly),
+  };
+}
+
+/**
+ * Sample a closed orbit path (parent-relative) for drawing rings.
+ * Samples are spaced evenly in eccentric anomaly, which keeps the
+ * periapsis end of eccentric orbits from looking faceted.
+ */
+export function orbitPathPoints(orbit, segments = 128) {
+  const el = orbitElements(orbit);
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    points.push(orientedPos(el, (TAU * i) / segments));
+  }
+  return points;
+}
+
+const copyVec = (v) => ({ x: v.x, y: v.y, z: v.z });
+const addVec = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+
+/**
+ * Build a getState() snapshot from per-body kinematics.
+ * kin: name -> { parent, position, velocity, acceleration, relative, trueAnomaly, elements }
+ * Everything is copied, so callers can hold on to (or mutate) the result
+ * without touching live sim state.
+ */
+export function snapshotState(t, kin) {
+  const positions = {};
+  const out = {};
+  for (const [name, k] of Object.entries(kin)) {
+    positions[name] = copyVec(k.position);
+    out[name] = {
+      parent: k.parent,
+      position: copyVec(k.position),
+      velocity: copyVec(k.velocity),
+      acceleration: copyVec(k.acceleration),
+      relative: {
+        position: copyVec(k.relative.position),
+        velocity: copyVec(k.relative.velocity),
+        acceleration: copyVec(k.relative.acceleration),
+      },
+      trueAnomaly: k.trueAnomaly,
+      elements: k.elements ? { ...k.elements } : null,
+    };
+  }
+  return { t, positions, bodies: out };
+}
+
+/**
+ * Create a sim with named bodies and orbit params.
+ * Returns an object with update(dt), getState() and time controls:
+ * - setTime(t) / getTime(): absolute sim time (seconds)
+ * - pause() / resume() / isPaused(): update(dt) is a no-op while paused
+ * config.timeScale may be negative to run time backwards.
+ *
+ * Positions are a pure function of t, so setTime(t) gives the same result
+ * no matter how the sim got there.
+ *
+ * getState() returns a fresh snapshot (see snapshotState):
+ * - positions: name -> {x,y,z} (heliocentric)
+ * - bodies: name -> { parent (current; quantum bodies move),
+ *   position, velocity, acceleration (heliocentric),
+ *   relative: { position, velocity, acceleration } (parent-relative),
+ *   trueAnomaly (radians), elements (see orbitElements) }
+ *   trueAnomaly/elements are null for bodies without an orbit.
+ *
+ * Bodies are resolved through their `parent` links (see hierarchy.js);
+ * a missing parent or a cycle throws.
+ *
+ * Quantum bodies (see quantum.js) switch host when the view reports them
+ * unobserved: setObserved(name, observed) returns true if the body moved.
+ * setHost(name, host) moves one straight to `host` (keeps a second sim in
+ * step with the live one).
+ *
+ * options.t0 sets the starting sim time (used when switching sim modes).
+ */
+export function createSolarSim(config, options = {}) {
+  const bodies = config.bodies;
+  const quantum = createQuantumHosts(bodies);
+  let order = sortBodies(quantum.effectiveBodies());
+  let t = options.t0 ?? 0;
+  const timeSum = createTimeSum(t); // t without float drift over long sessions
+  let paused = false;
+
+  // mutable kinematics map: name -> { position, velocity, acceleration, relative, ... }
+  const kin = {};
+
+  function computeState() {
+    // Parents always come before children in `order`, so one pass handles
+    // any depth: moons of moons, barycenters around planets, etc.
+    // Roots (no parent) orbit the origin; the Sun has no orbit, so it sits there.
+    // Bodies without an orbit sit at their fixed `position` offset (static bodies).
+    for (const name of order) {
       const b = bodies[name];
+      const parent = quantum.parentOf(name);
+      const base = parent ? kin[parent] : null;
+      const rel = b.orbit ? orbitState(b.orbit, t) : null;
 
-      if (b.type === "moon") {
-        const parentPos = state[b.parent];
-        const rel = orbitPos(b.orbit, t);
-        state[name] = {
-          x: parentPos.x + rel.x,
-          y: parentPos.y + rel.y,
-          z: parentPos.z + rel.z,
-        };
-      }
-
-      if (b.type === "binaryChild") {
-        const centerPos = state[b.parent]; // barycenter
-        const rel = orbitPos(b.orbit, t);
-        state[name] = {
-          x: centerPos.x + rel.x,
-          y: centerPos.y + rel.y,
-          z: centerPos.z + rel.z,
-        };
-      }
+      const relative = {
+        position: rel ? rel.position : { ...ORIGIN, ...b.position },
+        velocity: rel ? rel.velocity : { ...ORIGIN },
+        acceleration: rel ? rel.acceleration : { ...ORIGIN },
+      };
+
+      kin[name] = {
+        parent,
+        position: base ? addVec(base.position, relative.position) : relative.position,
+        velocity: base ? addVec(base.velocity, relative.velocity) : relative.velocity,
+        acceleration: base ? addVec(base.acceleration, relative.acceleration) : relative.acceleration,
+        relative,
+        trueAnomaly: rel ? rel.trueAnomaly : null,
+        elements: rel ? rel.elements : null,
+      };
     }
   }
 
+  function update(dt) {
+    if (paused) return;
+    timeSum.add(dt * (config.timeScale ?? 1));
+    t = timeSum.value;
+    computeState();
+  }
+
+  function setTime(newT) {
+    t = newT;
+    timeSum.set(newT);
+    computeState();
+  }
+
+  function getTime() {
+    return t;
+  }
+
+  function pause() { paused = true; }
+  function resume() { paused = false; }
+  function isPaused() { return paused; }
+
+  function setObserved(name, observed) {
+    if (!quantum.setObserved(name, observed)) return false;
+    order = sortBodies(quantum.effectiveBodies()); // new host may sort after the moon
+    computeState();
+    return true;
+  }
+
+  function setHost(name, host) {
+    if (!quantum.setHost(name, host)) return false;
+    order = sortBodies(quantum.effectiveBodies());
+    computeState();
+    return true;
+  }
+
   function getState() {
-    return { t, positions: state };
+    return snapshotState(t, kin);
   }
 
-  return { update, getState };
+  computeState();
+
+  return { update, getState, setTime, getTime, pause, resume, isPaused, setObserved, setHost };
 }
@@ -0,0 +1,285 @@
+// src/sim/systemLoader.js
+// Load a whole system from JSON (src/systems/system.schema.json).
+//
+// Files are written in game meters; the loader checks them against the
+// schema and the cross-references (parents, hosts, effect bodies), applies
+// `scale` to every length, and fills in derived values (periods from Kepler's
+// third law, the Sun's mu). The result is the runtime config the sims and
+// views take, in visual units. Pure; no Three.js, no DOM.
+import schema from "../systems/system.schema.json" with { type: "json" };
+import { sortBodies } from "./hierarchy.js";
+
+const TAU = Math.PI * 2;
+
+export const DEFAULT_SCALE = 1 / 100; // 100 game meters = 1 visual unit
+export const DEFAULT_MU = 4e8;        // Outer Wilds Sun, m^3/s^2
+
+// Lengths (game meters) the loader scales; "*" matches any key.
+const LENGTHS = [
+  "loop.supernova.maxRadius",
+  "sand.shells.*.core",
+  "sand.shells.*.full",
+  "sand.column.minRadius",
+  "sand.column.maxRadius",
+  "crust.coreRadius",
+  "bodies.*.radius",
+  "bodies.*.orbit.radius",
+  "bodies.*.orbit.semiMajorAxis",
+  "bodies.*.position.x",
+  "bodies.*.position.y",
+  "bodies.*.position.z",
+];
+
+/**
+ * Kepler's third law: period (s) of an orbit with semi-major axis a around
+ * a body with gravitational parameter mu (same length unit in both).
+ */
+export function keplerPeriod(a, mu) {
+  return TAU * Math.sqrt(a ** 3 / mu);
+}
+
+const TRAIL_DEFAULTS = {
+  bodies: [],
+  length: 60,
+  samples: 256,
+  predict: { bodies: [], horizon: 30, samples: 128 },
+};
+
+// --- schema check (the subset of JSON Schema the published schema uses) ---
+
+// "bodies.AshTwin.orbit.period" reads better as "AshTwin.orbit.period"
+function displayPath(path) {
+  const p = path.startsWith("bodies.") ? path.slice("bodies.".length) : path;
+  return p || "(root)";
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolve(node) {
+  if (!node.$ref) return node;
+  const name = node.$ref.replace("#/$defs/", "");
+  return { ...schema.$defs[name], ...node, $ref: undefined };
+}
+
+function check(node, value, path, errors) {
+  node = resolve(node);
+  const where = displayPath(path);
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${where} must be one of ${node.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (node.type && !matchesType(value, node.type)) {
+    errors.push(`${where} must be ${node.type === "integer" ? "an integer" : `a ${node.type}`}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (typeof value === "number") {
+    if (node.minimum !== undefined && value < node.minimum) {
+      errors.push(`${where} must be >= ${node.minimum}, got ${value}`);
+    }
+    if (node.exclusiveMinimum !== undefined && value <= node.exclusiveMinimum) {
+      errors.push(`${where} must be > ${node.exclusiveMinimum}, got ${value}`);
+    }
+    if (node.exclusiveMaximum !== undefined && value >= node.exclusiveMaximum) {
+      errors.push(`${where} must be < ${node.exclusiveMaximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      errors.push(`${where} needs at least ${node.minItems} items, got ${value.length}`);
+    }
+    if (node.maxItems !== undefined && value.length > node.maxItems) {
+      errors.push(`${where} takes at most ${node.maxItems} items, got ${value.length}`);
+    }
+    if (node.items) value.forEach((item, i) => check(node.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of node.required ?? []) {
+      if (!(key in value)) errors.push(`${displayPath(path ? `${path}.${key}` : key)} is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const child = path ? `${path}.${key}` : key;
+      if (node.properties?.[key]) check(node.properties[key], v, child, errors);
+      else if (node.additionalProperties === false) errors.push(`${displayPath(child)} is not a known property`);
+      else if (node.additionalProperties) check(node.additionalProperties, v, child, errors);
+    }
+  }
+}
+
+// --- cross-references the schema can't express ---
+
+function checkReferences(json, errors) {
+  const bodies = json.bodies;
+  const exists = (name) => Object.hasOwn(bodies, name);
+
+  if (!exists("Sun") || bodies.Sun.type !== "sun") errors.push("bodies.Sun (type \"sun\") is required");
+
+  for (const [name, b] of Object.entries(bodies)) {
+    if (b.parent !== undefined && !exists(b.parent)) errors.push(`${name}.parent '${b.parent}' not found`);
+    for (const host of b.hosts ?? []) {
+      if (!exists(host)) errors.push(`${name}.hosts '${host}' not found`);
+    }
+    if (b.type === "quantum" && !b.hosts) errors.push(`${name}.hosts is required for quantum bodies`);
+    if (b.orbit && b.orbit.radius === undefined && b.orbit.semiMajorAxis === undefined) {
+      errors.push(`${name}.orbit needs a radius or semiMajorAxis`);
+    }
+  }
+  if (errors.length === 0) {
+    try {
+      sortBodies(bodies);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  const { loop, sand, crust, trails } = json;
+  if (loop.phases.collapse > loop.phases.supernova) {
+    errors.push(`loop.phases.collapse (${loop.phases.collapse}) must not be after loop.phases.supernova (${loop.phases.supernova})`);
+  }
+  if (loop.phases.supernova > loop.length) {
+    errors.push(`loop.phases.supernova (${loop.phases.supernova}) is past loop.length (${loop.length})`);
+  }
+
+  if (sand) {
+    for (const key of ["from", "to"]) {
+      if (!exists(sand[key])) errors.push(`sand.${key} '${sand[key]}' not found`);
+    }
+    for (const name of Object.keys(sand.shells ?? {})) {
+      if (name !== sand.from && name !== sand.to) errors.push(`sand.shells '${name}' is neither sand.from nor sand.to`);
+    }
+  }
+
+  if (crust) {
+    if (!exists(crust.body)) errors.push(`crust.body '${crust.body}' not found`);
+    if (!exists(crust.impactor)) errors.push(`crust.impactor '${crust.impactor}' not found`);
+    else if (bodies[crust.impactor].parent !== crust.body || !bodies[crust.impactor].orbit) {
+      errors.push(`crust.impactor '${crust.impactor}' must orbit '${crust.body}'`);
+    }
+  }
+
+  for (const name of trails?.bodies ?? []) {
+    if (!exists(name)) errors.push(`trails.bodies '${name}' not found`);
+  }
+  for (const name of trails?.predict?.bodies ?? []) {
+    if (!exists(name)) errors.push(`trails.predict.bodies '${name}' not found`);
+  }
+}
+
+/**
+ * Every problem with a system file, as readable strings
+ * (e.g. "AshTwin.parent 'TwinsBarycentr' not found",
+ * "AshTwin.orbit.period must be > 0, got -5"). Empty when it's valid.
+ */
+export function validateSystem(json) {
+  const errors = [];
+  check(schema, json, "", errors);
+  // references only make sense once the shape is right
+  if (errors.length === 0) checkReferences(json, errors);
+  return errors;
+}
+
+// Apply fn to every value matching a LENGTHS-style path.
+function eachPath(obj, path, fn) {
+  const [head, ...rest] = path.split(".");
+  if (obj === null || typeof obj !== "object") return;
+  const keys = head === "*" ? Object.keys(obj) : [head];
+  for (const key of keys) {
+    if (!(key in obj)) continue;
+    if (rest.length === 0) obj[key] = fn(obj[key]);
+    else eachPath(obj[key], rest.join("."), fn);
+  }
+}
+
+/**
+ * Validate a parsed system file and turn it into a runtime config
+ * (visual units, derived periods/mu, defaults filled in).
+ * Throws an Error listing every problem; the list is also on error.errors.
+ */
+export function loadSystem(json) {
+  const errors = validateSystem(json);
+  if (errors.length > 0) {
+    const err = new Error(`Invalid system:\n- ${errors.join("\n- ")}`);
+    err.errors = errors;
+    throw err;
+  }
+
+  const config = structuredClone(json);
+  delete config.$schema;
+  delete config.units;
+  const scale = config.scale ?? DEFAULT_SCALE;
+  const mu = config.mu ?? DEFAULT_MU;
+
+  // derived values first, while everything is still in game meters
+  for (const b of Object.values(config.bodies)) {
+    if (b.orbit && b.orbit.period === undefined) {
+      b.orbit.period = keplerPeriod(b.orbit.semiMajorAxis ?? b.orbit.radius, mu);
+    }
+    if (b.type === "sun" && b.mu === undefined) b.mu = mu;
+    if (b.mu !== undefined) b.mu *= scale ** 3;
+  }
+
+  for (const path of LENGTHS) eachPath(config, path, (v) => v * scale);
+
+  return {
+    ...config,
+    name: config.name ?? "Untitled system",
+    scale,
+    mu,
+    timeScale: config.timeScale ?? 1,
+    trails: {
+      ...TRAIL_DEFAULTS,
+      ...config.trails,
+      predict: { ...TRAIL_DEFAULTS.predict, ...config.trails?.predict },
+    },
+  };
+}
+
+/**
+ * loadSystem() from JSON text (a dropped or picked file).
+ * Throws with a readable message on bad JSON too.
+ */
+export function parseSystem(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Not valid JSON: ${err.message}`);
+  }
+  return loadSystem(json);
+}
+
+/**
+ * The inverse of loadSystem(): a runtime config (e.g. after live edits)
+ * back as a system file in game meters. Periods that Kepler's third law
+ * would give anyway, and a Sun mu equal to the system mu, are left out, so
+ * a loaded file round-trips unchanged.
+ */
+export function saveSystem(config) {
+  const out = structuredClone(config);
+  const { scale, mu } = out;
+
+  for (const path of LENGTHS) eachPath(out, path, (v) => v / scale);
+  for (const b of Object.values(out.bodies)) {
+    if (b.mu !== undefined) b.mu /= scale ** 3;
+    if (b.type === "sun" && Math.abs(b.mu - mu) <= 1e-9 * mu) delete b.mu;
+    if (b.orbit?.period !== undefined) {
+      const kepler = keplerPeriod(b.orbit.semiMajorAxis ?? b.orbit.radius, mu);
+      if (Math.abs(b.orbit.period - kepler) <= 1e-9 * kepler) delete b.orbit.period;
+    }
+  }
+
+  return { $schema: "./system.schema.json", units: "game-meters", ...out };
+}
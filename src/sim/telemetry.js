@@ -0,0 +1,75 @@
+// src/sim/telemetry.js
+// HUD numbers for one body, from a sim snapshot. Pure; no Three.js.
+// Everything comes back in game meters / seconds (visual units / scale).
+
+const TAU = Math.PI * 2;
+
+const wrap = (a) => ((a % TAU) + TAU) % TAU;
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+// "TimberHearth" -> "Timber Hearth", unless the body config has a `label`
+export function bodyLabel(config, name) {
+  return config.bodies[name]?.label ?? name.replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+
+// Mean motion (rad/s) and current mean anomaly from snapshot elements.
+function meanMotion(el, t) {
+  const n = TAU / el.period;
+  return { n, M: wrap(el.meanAnomaly + n * t) };
+}
+
+// In-plane longitude of a body around its parent (for conjunction timing).
+function longitude(rel) {
+  return Math.atan2(rel.position.y, rel.position.x);
+}
+
+/**
+ * Telemetry for `name`:
+ * - distanceFromSun (m), orbitalSpeed (m/s, parent-relative), period (s)
+ * - timeToPeriapsis (s), or null for (near-)circular orbits
+ * - nextConjunction: { with, in (s) } against the sibling with the closest
+ *   semi-major axis (treats both orbits as coplanar), or null
+ */
+export function bodyTelemetry(state, name, scale) {
+  const b = state.bodies[name];
+  const sun = state.bodies.Sun;
+  const el = b.elements;
+
+  const out = {
+    distanceFromSun: sun ? dist(b.position, sun.position) / scale : null,
+    orbitalSpeed: Math.hypot(b.relative.velocity.x, b.relative.velocity.y, b.relative.velocity.z) / scale,
+    period: el && el.period > 0 ? el.period : null,
+    timeToPeriapsis: null,
+    nextConjunction: null,
+  };
+
+  if (!out.period) return out;
+  const { n, M } = meanMotion(el, state.t);
+
+  if (el.e > 1e-3) {
+    out.timeToPeriapsis = (TAU - M) / n;
+  }
+
+  // nearest sibling (same current parent) by semi-major axis
+  let best = null;
+  for (const [other, ob] of Object.entries(state.bodies)) {
+    if (other === name || ob.parent !== b.parent) continue;
+    if (!ob.elements || !(ob.elements.period > 0)) continue;
+    const gap = Math.abs(ob.elements.a - el.a);
+    if (!best || gap < best.gap) best = { other, gap, ob };
+  }
+
+  if (best) {
+    const nOther = TAU / best.ob.elements.period;
+    const rate = n - nOther; // how fast we gain on the other body
+    if (Math.abs(rate) > 1e-12) {
+      const ahead = wrap(longitude(best.ob.relative) - longitude(b.relative));
+      out.nextConjunction = {
+        with: best.other,
+        in: rate > 0 ? ahead / rate : (TAU - ahead) / -rate,
+      };
+    }
+  }
+
+  return out;
+}
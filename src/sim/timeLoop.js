@@ -0,0 +1,71 @@
+// src/sim/timeLoop.js
+// The 22-minute time loop: Sun lifecycle + supernova, as a pure function of sim time.
+// No Three.js here; main.js maps the returned numbers onto uniforms/meshes.
+
+/**
+ * Piecewise-linear keyframe curve.
+ * keys: [[t0, v0], [t1, v1], ...] sorted by t. Clamped at both ends.
+ */
+export function sampleCurve(keys, t) {
+  if (!keys || keys.length === 0) return 0;
+  if (t <= keys[0][0]) return keys[0][1];
+
+  for (let i = 1; i < keys.length; i++) {
+    const [t1, v1] = keys[i];
+    if (t <= t1) {
+      const [t0, v0] = keys[i - 1];
+      const u = t1 > t0 ? (t - t0) / (t1 - t0) : 1;
+      return v0 + (v1 - v0) * u;
+    }
+  }
+  return keys[keys.length - 1][1];
+}
+
+/**
+ * Loop state at sim time t.
+ * Returns:
+ * - loopTime / remaining: seconds into / left in the loop
+ * - phase: "stable" | "collapse" | "supernova"
+ * - sunRadius, haloBoost, lightBoost: multipliers on the Sun's resting look
+ * - ageMix: 0..1 blend toward the red-giant colors
+ * - flash: 0..1 blend toward the collapse/supernova flash color
+ * - shockwaveRadius (visual units), shockwaveStrength 0..1
+ */
+export function loopStateAt(loop, t) {
+  const { length, phases, curves, supernova } = loop;
+  const loopTime = Math.min(Math.max(t, 0), length);
+
+  let phase = "stable";
+  if (loopTime >= phases.supernova) phase = "supernova";
+  else if (loopTime >= phases.collapse) phase = "collapse";
+
+  // shockwave expands from the Sun over the rest of the loop
+  let shockwaveRadius = 0;
+  let shockwaveStrength = 0;
+  if (phase === "supernova") {
+    const span = Math.max(length - phases.supernova, 1e-6);
+    const u = (loopTime - phases.supernova) / span;
+    shockwaveRadius = supernova.maxRadius * (1 - (1 - u) ** 2); // ease-out
+    shockwaveStrength = 1 - 0.6 * u;
+  }
+
+  return {
+    loopTime,
+    remaining: length - loopTime,
+    phase,
+    sunRadius: sampleCurve(curves.sunRadius, loopTime),
+    ageMix: sampleCurve(curves.ageMix, loopTime),
+    flash: sampleCurve(curves.flash, loopTime),
+    haloBoost: sampleCurve(curves.haloBoost, loopTime),
+    lightBoost: sampleCurve(curves.lightBoost, loopTime),
+    shockwaveRadius,
+    shockwaveStrength,
+  };
+}
+
+// "mm:ss" for the GUI countdown
+export function formatLoopTime(seconds) {
+  const s = Math.max(0, Math.ceil(seconds));
+  const m = Math.floor(s / 60);
+  return `${m}:${String(s % 60).padStart(2, "0")}`;
+}
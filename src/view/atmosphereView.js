@@ -0,0 +1,92 @@
+// src/view/atmosphereView.js
+import * as THREE from "three";
+
+/**
+ * Atmosphere shell for a body, from its config block:
+ *   atmosphere: { thickness (× body radius), color, density (0..1),
+ *                 falloff (rim sharpness), fog (dense, opaque-ish haze) }
+ *
+ * Brightest at the limb and only on the day side: the shader compares each
+ * point's normal with the direction to the Sun, so the terminator shows.
+ * A backlit limb also gets a little forward scattering.
+ * Fog shells blend normally (they hide the surface); thin atmospheres add.
+ *
+ * Returns:
+ * - mesh: the shell (add it as a child of the body mesh)
+ * - setSunDirection(dir): world-space direction body -> Sun, every frame
+ */
+export function createAtmosphere(radius, atmosphere) {
+  const {
+    thickness = 0.1,
+    color = "#8fc6ff",
+    density = 0.8,
+    falloff = atmosphere.fog ? 1.0 : 3.0,
+    fog = false,
+  } = atmosphere;
+
+  const mat = new THREE.ShaderMaterial({
+    vertexShader: /* glsl */ `
+      varying vec3 vWorldNormal;
+      varying vec3 vWorldPos;
+
+      void main() {
+        vWorldNormal = normalize(mat3(modelMatrix) * normal);
+        vec4 world = modelMatrix * vec4(position, 1.0);
+        vWorldPos = world.xyz;
+        gl_Position = projectionMatrix * viewMatrix * world;
+      }
+    `,
+    fragmentShader: /* glsl */ `
+      precision highp float;
+
+      uniform vec3 uColor;
+      uniform vec3 uSunDir;
+      uniform float uDensity;
+      uniform float uFalloff;
+      uniform float uFog;
+
+      varying vec3 vWorldNormal;
+      varying vec3 vWorldPos;
+
+      void main() {
+        vec3 n = normalize(vWorldNormal);
+        vec3 viewDir = normalize(cameraPosition - vWorldPos);
+
+        // more air along grazing lines of sight; fog is thick everywhere
+        float rim = 1.0 - clamp(dot(n, viewDir), 0.0, 1.0);
+        float depth = mix(pow(rim, uFalloff), 0.6 + 0.4 * rim, uFog);
+
+        // day side only, with a soft terminator
+        float day = smoothstep(-0.2, 0.35, dot(n, uSunDir));
+        // light scattered toward us when looking past the body at the Sun
+        float forward = pow(max(dot(-viewDir, uSunDir), 0.0), 8.0) * rim;
+
+        float lit = mix(day, 0.15 + 0.85 * day, uFog) + 0.5 * forward;
+        float a = clamp(uDensity * depth * lit, 0.0, 1.0);
+        gl_FragColor = vec4(uColor * (uFog > 0.5 ? 1.0 : a), a);
+      }
+    `,
+    transparent: true,
+    blending: fog ? THREE.NormalBlending : THREE.AdditiveBlending,
+    depthWrite: false,
+    side: THREE.FrontSide,
+    uniforms: {
+      uColor: { value: new THREE.Color(color) },
+      uSunDir: { value: new THREE.Vector3(1, 0, 0) },
+      uDensity: { value: density },
+      uFalloff: { value: falloff },
+      uFog: { value: fog ? 1 : 0 },
+    },
+  });
+
+  const mesh = new THREE.Mesh(new THREE.SphereGeometry(radius * (1 + thickness), 48, 48), mat);
+  mesh.name = "Atmosphere";
+  mesh.castShadow = false;
+  mesh.receiveShadow = false;
+
+  function setSunDirection(dir) {
+    mat.uniforms.uSunDir.value.copy(dir).normalize();
+  }
+
+  return { mesh, setSunDirection };
+}
@@ -0,0 +1,137 @@
+// src/view/blackHoleView.js
+import * as THREE from "three";
+
+// The lens draws in a second pass; the main pass never sees this layer.
+const LENS_LAYER = 1;
+
+/**
+ * Screen-space gravitational lensing around a black hole core.
+ *
+ * The scene is rendered as usual, copied to a texture, and then a sphere
+ * around the core re-draws what's behind it with the pixels bent around the
+ * event horizon (point-mass deflection, Einstein ring at ~2 horizon radii).
+ * The lens sphere depth-tests against the first pass, so anything in front
+ * of the hole (e.g. intact crust) still hides it.
+ *
+ * options: { coreRadius, lensing: { radius (× coreRadius), strength } }
+ * Returns:
+ * - mesh: the lens sphere (child of `core`)
+ * - render(renderer, scene, camera): use instead of renderer.render()
+ * - dispose(): detach the lens and free its GPU resources
+ */
+export function createBlackHoleLens(core, options) {
+  const { coreRadius, lensing = {} } = options;
+  const lensRadius = coreRadius * (lensing.radius ?? 5);
+
+  const mat = new THREE.ShaderMaterial({
+    vertexShader: /* glsl */ `
+      void main() {
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: /* glsl */ `
+      precision highp float;
+
+      uniform sampler2D tScene;
+      uniform vec2 uResolution;  // drawing buffer, px
+      uniform vec2 uCenter;      // core center on screen, px
+      uniform float uHorizon;    // event horizon radius on screen, px
+      uniform float uLensRadius; // lens extent on screen, px
+      uniform float uStrength;
+
+      void main() {
+        vec2 d = gl_FragCoord.xy - uCenter;
+        float r = max(length(d), 1e-3);
+        if (r < uHorizon) {
+          gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+          return;
+        }
+
+        // source position for a point lens: beta = theta - thetaE^2 / theta,
+        // faded out toward the edge of the sphere so there's no seam
+        float einstein2 = uStrength * 4.0 * uHorizon * uHorizon;
+        float fade = 1.0 - smoothstep(0.45 * uLensRadius, uLensRadius, r);
+        vec2 src = uCenter + d * (1.0 - fade * einstein2 / (r * r));
+        vec3 col = texture2D(tScene, clamp(src / uResolution, 0.0, 1.0)).rgb;
+
+        // thin photon ring just outside the horizon
+        float ring = exp(-pow((r - 1.5 * uHorizon) / (0.12 * uHorizon), 2.0));
+        col += vec3(1.0, 0.85, 0.6) * ring * 0.6;
+
+        gl_FragColor = vec4(col, 1.0);
+      }
+    `,
+    depthWrite: false,
+    uniforms: {
+      tScene: { value: null },
+      uResolution: { value: new THREE.Vector2() },
+      uCenter: { value: new THREE.Vector2() },
+      uHorizon: { value: 0 },
+      uLensRadius: { value: 0 },
+      uStrength: { value: lensing.strength ?? 1 },
+    },
+  });
+
+  const mesh = new THREE.Mesh(new THREE.SphereGeometry(lensRadius, 48, 48), mat);
+  mesh.name = "BlackHoleLens";
+  mesh.layers.set(LENS_LAYER);
+  core.add(mesh);
+
+  let sceneTexture = null;
+  const size = new THREE.Vector2();
+  const center = new THREE.Vector3();
+  const ndc = new THREE.Vector3();
+
+  // visible all the way up (the shockwave hides the body, not the core)
+  function shown(obj) {
+    for (let o = obj; o; o = o.parent) if (!o.visible) return false;
+    return true;
+  }
+
+  function render(renderer, scene, camera) {
+    renderer.render(scene, camera);
+    if (!shown(core)) return;
+
+    core.getWorldPosition(center);
+    ndc.copy(center).project(camera);
+    if (ndc.z >= 1) return; // behind the camera
+
+    renderer.getDrawingBufferSize(size);
+    if (!sceneTexture || sceneTexture.image.width !== size.x || sceneTexture.image.height !== size.y) {
+      sceneTexture?.dispose();
+      sceneTexture = new THREE.FramebufferTexture(size.x, size.y);
+    }
+    renderer.copyFramebufferToTexture(sceneTexture);
+
+    // projected sizes, in drawing buffer pixels
+    const distance = camera.position.distanceTo(center);
+    const pxPerUnit = size.y / 2 / (Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * distance);
+    const u = mat.uniforms;
+    u.tScene.value = sceneTexture;
+    u.uResolution.value.copy(size);
+    u.uCenter.value.set((ndc.x * 0.5 + 0.5) * size.x, (ndc.y * 0.5 + 0.5) * size.y);
+    u.uHorizon.value = coreRadius * pxPerUnit;
+    u.uLensRadius.value = lensRadius * pxPerUnit;
+
+    // the shadow maps are already up to date from the first pass
+    const autoClear = renderer.autoClear;
+    const shadowUpdate = renderer.shadowMap.autoUpdate;
+    const layers = camera.layers.mask;
+    renderer.autoClear = false;
+    renderer.shadowMap.autoUpdate = false;
+    camera.layers.set(LENS_LAYER);
+    renderer.render(scene, camera);
+    camera.layers.mask = layers;
+    renderer.shadowMap.autoUpdate = shadowUpdate;
+    renderer.autoClear = autoClear;
+  }
+
+  function dispose() {
+    core.remove(mesh);
+    mesh.geometry.dispose();
+    mat.dispose();
+    sceneTexture?.dispose();
+  }
+
+  return { mesh, render, dispose };
+}
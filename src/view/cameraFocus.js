@@ -0,0 +1,156 @@
+// src/view/cameraFocus.js
+import * as THREE from "three";
+
+/**
+ * Click-to-select + camera follow for the bodies in a solar view.
+ *
+ * - click a body mesh to fly to it; the camera then follows it every frame
+ *   (controls.target tracks the body, the camera keeps its offset)
+ * - "]" / "[" cycle through bodies, Escape returns to the system view
+ * - orbit distance scales with the body's radius
+ *
+ * Returns:
+ * - bodies: selectable body names (in view order)
+ * - focus(name): fly to and follow a body
+ * - systemView(): fly back to the whole-system view
+ * - getFocus(): current body name, or null for the system view
+ * - update(dt): call once per frame, after applyPositions and before controls.update()
+ * - onChange(fn): fn(name | null) whenever the focus changes
+ * - dispose(): remove the input listeners (before building a new one)
+ *
+ * options: { distanceFactor, duration, systemTarget, systemDistance }
+ */
+export function createCameraFocus(camera, controls, domElement, solarView, config, options = {}) {
+  const distanceFactor = options.distanceFactor ?? 6; // × body radius
+  const duration = options.duration ?? 1.2; // seconds per transition
+
+  // selectable = real bodies that have a mesh (not the twins tube, not barycenters)
+  const bodies = Object.keys(solarView.meshes).filter((name) => config.bodies[name]);
+
+  // what "system view" means: wherever the camera started (unless given,
+  // e.g. when the system is rebuilt while focused on a body)
+  const systemTarget = options.systemTarget?.clone() ?? controls.target.clone();
+  const systemDistance = options.systemDistance ?? camera.position.distanceTo(controls.target);
+
+  let focused = null;
+  let transition = null; // { elapsed, fromTarget, fromDistance }
+  const lastBodyPos = new THREE.Vector3();
+  const listeners = [];
+
+  function bodyRadius(name) {
+    const mesh = solarView.meshes[name];
+    return (config.bodies[name].radius ?? 1) * mesh.scale.x;
+  }
+
+  function goalTarget() {
+    return focused ? solarView.meshes[focused].position : systemTarget;
+  }
+
+  function goalDistance() {
+    return focused ? bodyRadius(focused) * distanceFactor : systemDistance;
+  }
+
+  function startTransition() {
+    transition = {
+      elapsed: 0,
+      fromTarget: controls.target.clone(),
+      fromDistance: camera.position.distanceTo(controls.target),
+    };
+    if (focused) lastBodyPos.copy(solarView.meshes[focused].position);
+    for (const fn of listeners) fn(focused);
+  }
+
+  function focus(name) {
+    if (!bodies.includes(name)) return;
+    focused = name;
+    startTransition();
+  }
+
+  function systemView() {
+    focused = null;
+    startTransition();
+  }
+
+  function cycle(step) {
+    const i = focused ? bodies.indexOf(focused) : (step > 0 ? -1 : 0);
+    focus(bodies[(i + step + bodies.length) % bodies.length]);
+  }
+
+  function update(dt) {
+    const target = goalTarget();
+    const offset = new THREE.Vector3().subVectors(camera.position, controls.target);
+
+    if (transition) {
+      transition.elapsed += dt;
+      const u = Math.min(transition.elapsed / duration, 1);
+      const s = u * u * (3 - 2 * u); // smoothstep
+
+      // The goal keeps moving with the body, so blend toward where it is *now*.
+      controls.target.lerpVectors(transition.fromTarget, target, s);
+      const dist = THREE.MathUtils.lerp(transition.fromDistance, goalDistance(), s);
+      camera.position.copy(controls.target).add(offset.setLength(dist));
+
+      if (u >= 1) transition = null;
+    } else if (focused) {
+      // Follow: carry the camera along with the body, keep the user's orbit offset.
+      const delta = new THREE.Vector3().subVectors(target, lastBodyPos);
+      camera.position.add(delta);
+      controls.target.copy(target);
+    }
+
+    if (focused) lastBodyPos.copy(target);
+  }
+
+  // --- picking: a click (not a drag) on a body mesh focuses it ---
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const down = new THREE.Vector2();
+
+  function onPointerDown(e) {
+    down.set(e.clientX, e.clientY);
+  }
+
+  function onPointerUp(e) {
+    if (down.distanceTo(pointer.set(e.clientX, e.clientY)) > 4) return; // was a drag
+
+    const rect = domElement.getBoundingClientRect();
+    pointer.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+
+    const meshes = bodies.map((name) => solarView.meshes[name]).filter((m) => m.visible);
+    // recursive=false: children (halo, orbit rings) shouldn't steal the hit
+    const hit = raycaster.intersectObjects(meshes, false)[0];
+    if (hit) focus(bodies.find((name) => solarView.meshes[name] === hit.object));
+  }
+
+  function onKeyDown(e) {
+    if (e.target instanceof HTMLInputElement) return; // typing in the GUI
+    if (e.key === "]") cycle(1);
+    else if (e.key === "[") cycle(-1);
+    else if (e.key === "Escape") systemView();
+  }
+
+  domElement.addEventListener("pointerdown", onPointerDown);
+  domElement.addEventListener("pointerup", onPointerUp);
+  window.addEventListener("keydown", onKeyDown);
+
+  function dispose() {
+    domElement.removeEventListener("pointerdown", onPointerDown);
+    domElement.removeEventListener("pointerup", onPointerUp);
+    window.removeEventListener("keydown", onKeyDown);
+    listeners.length = 0;
+  }
+
+  return {
+    bodies,
+    focus,
+    systemView,
+    getFocus: () => focused,
+    update,
+    onChange: (fn) => listeners.push(fn),
+    dispose,
+  };
+}
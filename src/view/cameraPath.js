@@ -0,0 +1,111 @@
+// src/view/cameraPath.js
+// Scripted camera moves for captures: keyframed positions and targets
+// (each optionally relative to a body, so shots can ride along with it),
+// or a plain follow-body shot.
+import * as THREE from "three";
+
+const vector = (v, what) => {
+  if (!Array.isArray(v) || v.length !== 3 || !v.every(Number.isFinite)) {
+    throw new Error(`${what} must be [x, y, z], got ${JSON.stringify(v)}`);
+  }
+  return new THREE.Vector3(...v);
+};
+
+/**
+ * Check camera path JSON against `config` and normalize it.
+ *
+ * Two forms (lengths in game meters, t in seconds from the start of the clip):
+ *   { "keyframes": [{ "t": 0, "position": [x, y, z], "target": [x, y, z], "body": "TimberHearth" }, ...] }
+ *     body is optional: position and target are then offsets from that body
+ *     as rendered, in the current reference frame
+ *   { "follow": "TimberHearth", "offset": [x, y, z] }
+ *     the camera keeps `offset` from the body and looks at it
+ *
+ * Returns { keyframes: [{ t, position, target, body }] } sorted by t, with
+ * Vector3 offsets. Throws on unknown bodies or malformed entries.
+ */
+export function parseCameraPath(json, config) {
+  const checkBody = (body) => {
+    if (body !== undefined && !config.bodies[body]) throw new Error(`Camera path: body '${body}' not found`);
+    return body ?? null;
+  };
+
+  if (json?.follow !== undefined) {
+    return {
+      keyframes: [{
+        t: 0,
+        position: vector(json.offset ?? [0, 0, 0], "follow offset"),
+        target: new THREE.Vector3(),
+        body: checkBody(json.follow),
+      }],
+    };
+  }
+
+  if (!Array.isArray(json?.keyframes) || json.keyframes.length === 0) {
+    throw new Error("Camera path needs a 'keyframes' list or a 'follow' body");
+  }
+  const keyframes = json.keyframes.map((k, i) => {
+    if (!Number.isFinite(k.t)) throw new Error(`keyframes[${i}].t must be a number`);
+    return {
+      t: k.t,
+      position: vector(k.position, `keyframes[${i}].position`),
+      target: vector(k.target ?? [0, 0, 0], `keyframes[${i}].target`),
+      body: checkBody(k.body),
+    };
+  });
+  return { keyframes: keyframes.sort((a, b) => a.t - b.t) };
+}
+
+/**
+ * A keyframe (JSON, game meters) for the camera as it is now.
+ * With a body, the offsets are taken from where that body is drawn.
+ */
+export function cameraKeyframe(t, camera, target, scale, body = null, bodyPosition = null) {
+  const origin = bodyPosition ?? new THREE.Vector3();
+  const offset = (v) => v.clone().sub(origin).divideScalar(scale).toArray().map((x) => Math.round(x * 1000) / 1000);
+  const key = { t, position: offset(camera.position), target: offset(target) };
+  if (body) key.body = body;
+  return key;
+}
+
+/**
+ * Camera position and look-at target (scene units) `t` seconds into a path.
+ * bodyPosition(name) gives where a body is drawn this frame; scale converts
+ * game meters to scene units. Positions follow a Catmull-Rom spline through
+ * the keys (so a flyby doesn't stop at each one), targets too; before the
+ * first / after the last key the camera holds there.
+ *
+ * Returns { position, target } (fresh Vector3s).
+ */
+export function cameraPose(path, t, bodyPosition, scale) {
+  const keys = path.keyframes;
+  const resolve = (k, which) => {
+    const p = k[which].clone().multiplyScalar(scale);
+    return k.body ? p.add(bodyPosition(k.body)) : p;
+  };
+
+  if (keys.length === 1 || t <= keys[0].t) {
+    return { position: resolve(keys[0], "position"), target: resolve(keys[0], "target") };
+  }
+  const last = keys[keys.length - 1];
+  if (t >= last.t) return { position: resolve(last, "position"), target: resolve(last, "target") };
+
+  let i = 0;
+  while (keys[i + 1].t <= t) i++;
+  const k0 = keys[Math.max(i - 1, 0)], k1 = keys[i], k2 = keys[i + 1], k3 = keys[Math.min(i + 2, keys.length - 1)];
+  const h = k2.t - k1.t;
+  const u = (t - k1.t) / h;
+
+  // cubic Hermite with Catmull-Rom tangents for uneven key spacing
+  const h00 = 2 * u ** 3 - 3 * u ** 2 + 1;
+  const h10 = u ** 3 - 2 * u ** 2 + u;
+  const h01 = -2 * u ** 3 + 3 * u ** 2;
+  const h11 = u ** 3 - u ** 2;
+  const spline = (which) => {
+    const [p0, p1, p2, p3] = [k0, k1, k2, k3].map((k) => resolve(k, which));
+    const m1 = p2.clone().sub(p0).divideScalar(Math.max(k2.t - k0.t, 1e-9)).multiplyScalar(h);
+    const m2 = p3.clone().sub(p1).divideScalar(Math.max(k3.t - k1.t, 1e-9)).multiplyScalar(h);
+    return p1.multiplyScalar(h00).addScaledVector(m1, h10).addScaledVector(p2, h01).addScaledVector(m2, h11);
+  };
+  return { position: spline("position"), target: spline("target") };
+}
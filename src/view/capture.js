@@ -0,0 +1,120 @@
+// src/view/capture.js
+// Deterministic capture: render a clip frame by frame at a fixed time step
+// and a fixed resolution, whatever the window size or frame rate, and
+// export it as a zipped PNG sequence or a WebM.
+import * as THREE from "three";
+import { createZip } from "./zip.js";
+
+export const CAPTURE_FORMATS = ["png", "webm"];
+
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Frame capture for `renderer`'s canvas, seen through `camera`.
+ *
+ * Returns:
+ * - run(options): capture a clip; resolves to { blob, extension }, or null
+ *   if cancelled. options:
+ *   - width, height: output size in pixels
+ *   - fps: frames per second; every frame advances time by exactly 1 / fps
+ *   - frames: how many frames
+ *   - format: "png" (a zip of frame_00000.png, ...; bit-exact) or "webm"
+ *   - frame(dt, time): advance everything by dt and render (time: seconds
+ *     into the clip)
+ *   - onProgress(done, frames)
+ * - cancel(): stop the running capture
+ * - active: true while capturing; the regular animation loop should stand
+ *   down so it doesn't advance the sim between frames
+ *
+ * WebM goes through MediaRecorder, which timestamps frames as they arrive,
+ * so frames are paced at 1 / fps of wall time; sizes the machine can't
+ * render that fast come out uneven. The PNG sequence has no such limit.
+ */
+export function createCapture(renderer, camera) {
+  let job = null;
+
+  async function pngSequence({ frames, fps, frame, onProgress }) {
+    const canvas = renderer.domElement;
+    const files = [];
+    for (let i = 0; i < frames; i++) {
+      frame(1 / fps, i / fps);
+      // toBlob snapshots the canvas now, before the drawing buffer is cleared
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+      if (job.cancelled) return null;
+      files.push({ name: `frame_${String(i).padStart(5, "0")}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+      onProgress?.(i + 1, frames);
+    }
+    return { blob: createZip(files), extension: "zip" };
+  }
+
+  async function webm({ frames, fps, frame, onProgress }) {
+    const mimeType = WEBM_TYPES.find((type) => globalThis.MediaRecorder?.isTypeSupported(type));
+    if (!mimeType) throw new Error("This browser can't record WebM; use the PNG sequence");
+
+    const stream = renderer.domElement.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 20e6 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+    const stopped = new Promise((resolve) => { recorder.onstop = resolve; });
+
+    recorder.start();
+    const start = performance.now();
+    for (let i = 0; i < frames && !job.cancelled; i++) {
+      frame(1 / fps, i / fps);
+      track.requestFrame();
+      onProgress?.(i + 1, frames);
+      const due = start + ((i + 1) * 1000) / fps;
+      await new Promise((resolve) => setTimeout(resolve, Math.max(0, due - performance.now())));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    return job.cancelled ? null : { blob: new Blob(chunks, { type: "video/webm" }), extension: "webm" };
+  }
+
+  async function run(options) {
+    if (job) throw new Error("A capture is already running");
+    const { width, height, fps, frames, format } = options;
+    if (!CAPTURE_FORMATS.includes(format)) throw new Error(`Unknown capture format '${format}'`);
+    if (!(width > 0 && height > 0)) throw new Error("Capture size must be positive");
+    if (!(fps > 0) || !(frames >= 1)) throw new Error("Capture needs fps > 0 and at least one frame");
+
+    job = { cancelled: false };
+    const saved = {
+      size: renderer.getSize(new THREE.Vector2()),
+      pixelRatio: renderer.getPixelRatio(),
+      aspect: camera.aspect,
+    };
+    // the canvas keeps its on-screen CSS size and just shows the frames stretched
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    try {
+      await nextTask(); // let the animation loop see `active` before the first frame
+      return format === "webm" ? await webm(options) : await pngSequence(options);
+    } finally {
+      renderer.setPixelRatio(saved.pixelRatio);
+      renderer.setSize(saved.size.x, saved.size.y, false);
+      camera.aspect = saved.aspect;
+      camera.updateProjectionMatrix();
+      job = null;
+    }
+  }
+
+  function cancel() {
+    if (job) job.cancelled = true;
+  }
+
+  return {
+    run,
+    cancel,
+    get active() {
+      return job !== null;
+    },
+  };
+}
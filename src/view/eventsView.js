@@ -0,0 +1,101 @@
+// src/view/eventsView.js
+import { EVENT_TYPES, describeEvent } from "../sim/events.js";
+import { formatLoopTime } from "../sim/timeLoop.js";
+
+/**
+ * Event timeline along the bottom of the screen: one row per event type,
+ * a marker per event (eclipses/transits span their duration) and a
+ * playhead at the current sim time. Clicking a marker calls onSelect(event).
+ *
+ * Returns:
+ * - element
+ * - setEvents(events | null): null shows "scanning…"
+ * - setVisible(type, visible): show/hide one event type
+ * - visibleEvents(): the events currently shown, sorted by time
+ * - select(event): highlight one event and show its description
+ * - update(t): move the playhead
+ * - dispose(): remove the element
+ */
+export function createEventsTimeline(container, config, { onSelect }) {
+  const length = config.loop.length;
+
+  const element = document.createElement("div");
+  element.className = "event-timeline";
+  container.appendChild(element);
+
+  const track = document.createElement("div");
+  track.className = "event-track";
+  element.appendChild(track);
+
+  const playhead = document.createElement("div");
+  playhead.className = "event-playhead";
+  track.appendChild(playhead);
+
+  const readout = document.createElement("div");
+  readout.className = "event-readout";
+  element.appendChild(readout);
+
+  const hidden = new Set();
+  let events = [];
+  let markers = [];
+
+  const percent = (t) => `${(Math.min(Math.max(t / length, 0), 1) * 100).toFixed(3)}%`;
+  const caption = (e) => `${formatLoopTime(e.t)}  ${describeEvent(config, e)}`;
+
+  function setEvents(next) {
+    for (const m of markers) m.el.remove();
+    markers = [];
+    events = next ?? [];
+    readout.textContent = next ? `${events.length} events — click one to jump to it` : "Scanning for events…";
+
+    for (const e of events) {
+      const el = document.createElement("div");
+      el.className = `event-marker event-${e.type}`;
+      el.style.top = `${EVENT_TYPES.indexOf(e.type) * 20}%`;
+      el.style.left = percent(e.start ?? e.t);
+      if (e.start !== undefined) el.style.width = `calc(${percent(e.end)} - ${percent(e.start)})`;
+      el.style.display = hidden.has(e.type) ? "none" : "";
+      el.title = caption(e);
+      el.addEventListener("click", () => onSelect(e));
+      track.appendChild(el);
+      markers.push({ el, event: e });
+    }
+  }
+
+  function setVisible(type, visible) {
+    if (visible) hidden.delete(type);
+    else hidden.add(type);
+    for (const m of markers) {
+      if (m.event.type === type) m.el.style.display = visible ? "" : "none";
+    }
+  }
+
+  function visibleEvents() {
+    return events.filter((e) => !hidden.has(e.type));
+  }
+
+  function select(event) {
+    for (const m of markers) m.el.classList.toggle("selected", m.event === event);
+    readout.textContent = caption(event);
+  }
+
+  function update(t) {
+    playhead.style.left = percent(t);
+  }
+
+  function dispose() {
+    element.remove();
+  }
+
+  setEvents(null);
+
+  return {
+    element,
+    setEvents,
+    setVisible,
+    visibleEvents,
+    select,
+    update,
+    dispose,
+  };
+}
@@ -0,0 +1,70 @@
+// src/view/hudView.js
+import { bodyLabel } from "../sim/telemetry.js";
+
+function formatMeters(m) {
+  return m >= 10000 ? `${(m / 1000).toFixed(2)} km` : `${m.toFixed(0)} m`;
+}
+
+function formatSeconds(s) {
+  if (s === null || !Number.isFinite(s)) return "—";
+  if (s < 60) return `${s.toFixed(1)} s`;
+  const m = Math.floor(s / 60);
+  return `${m}m ${String(Math.floor(s % 60)).padStart(2, "0")}s`;
+}
+
+/**
+ * Telemetry panel for the selected body.
+ * Returns { element, update(name | null, telemetry, cameraDistance), dispose() }
+ * telemetry comes from bodyTelemetry() (game meters / seconds);
+ * passing a null name hides the panel.
+ */
+export function createHudView(container, config) {
+  const element = document.createElement("div");
+  element.className = "body-hud";
+  element.style.display = "none";
+  container.appendChild(element);
+
+  const title = document.createElement("div");
+  title.className = "body-hud-title";
+  element.appendChild(title);
+
+  const rows = {};
+  for (const [key, label] of [
+    ["sun", "Distance from Sun"],
+    ["camera", "Distance from camera"],
+    ["speed", "Orbital speed"],
+    ["period", "Period"],
+    ["next", "Next event"],
+  ]) {
+    const row = document.createElement("div");
+    row.className = "body-hud-row";
+    const k = document.createElement("span");
+    k.textContent = label;
+    const v = document.createElement("span");
+    row.append(k, v);
+    element.appendChild(row);
+    rows[key] = v;
+  }
+
+  function update(name, telemetry, cameraDistance) {
+    element.style.display = name ? "block" : "none";
+    if (!name) return;
+
+    title.textContent = bodyLabel(config, name);
+    rows.sun.textContent = telemetry.distanceFromSun === null ? "—" : formatMeters(telemetry.distanceFromSun);
+    rows.camera.textContent = formatMeters(cameraDistance);
+    rows.speed.textContent = `${telemetry.orbitalSpeed.toFixed(1)} m/s`;
+    rows.period.textContent = formatSeconds(telemetry.period);
+
+    if (telemetry.timeToPeriapsis !== null) {
+      rows.next.textContent = `periapsis in ${formatSeconds(telemetry.timeToPeriapsis)}`;
+    } else if (telemetry.nextConjunction) {
+      const c = telemetry.nextConjunction;
+      rows.next.textContent = `conjunction w/ ${bodyLabel(config, c.with)} in ${formatSeconds(c.in)}`;
+    } else {
+      rows.next.textContent = "—";
+    }
+  }
+
+  return { element, update, dispose: () => element.remove() };
+}
@@ -0,0 +1,106 @@
+// src/view/labelsView.js
+import * as THREE from "three";
+import { bodyLabel } from "../sim/telemetry.js";
+
+/**
+ * Screen-space name labels that track the body meshes.
+ * - hidden when off-screen, behind the camera, behind the Sun, or the mesh is hidden
+ * - declutter: when labels overlap, the more important one (selected, then
+ *   bigger body) stays and the other fades out
+ *
+ * Returns { element, setSelected(name | null), update(), dispose() }.
+ * Call update() once per frame after the camera has moved.
+ */
+export function createLabelsView(container, camera, solarView, config) {
+  const element = document.createElement("div");
+  element.className = "body-labels";
+  container.appendChild(element);
+
+  const names = Object.keys(solarView.meshes).filter((name) => config.bodies[name]);
+  const labels = {};
+  for (const name of names) {
+    const el = document.createElement("div");
+    el.className = "body-label";
+    el.textContent = bodyLabel(config, name);
+    element.appendChild(el);
+    labels[name] = el;
+  }
+
+  // Label sizes for the overlap test, measured in one pass before any
+  // styles are written (reading them while placing labels would force a
+  // layout per label every frame). The text never changes, so a label is
+  // only measured again if it hadn't been laid out yet (page hidden).
+  const sizes = {};
+  function measure() {
+    for (const name of names) {
+      const el = labels[name];
+      if (sizes[name] || el.style.display === "none" || el.offsetWidth === 0) continue;
+      sizes[name] = { w: el.offsetWidth, h: el.offsetHeight };
+    }
+  }
+  measure();
+
+  let selected = null;
+  const world = new THREE.Vector3();
+  const ndc = new THREE.Vector3();
+  const toBody = new THREE.Vector3();
+  const toSun = new THREE.Vector3();
+
+  const worldRadius = (name) => (config.bodies[name].radius ?? 1) * solarView.meshes[name].scale.x;
+
+  // Is the Sun's sphere between the camera and this point?
+  function behindSun(name) {
+    const sun = solarView.meshes.Sun;
+    if (!sun || name === "Sun") return false;
+    toBody.subVectors(world, camera.position);
+    toSun.subVectors(sun.position, camera.position);
+    const along = toSun.dot(toBody) / toBody.lengthSq();
+    if (along <= 0 || along >= 1) return false; // Sun isn't between us
+    const closest = toBody.multiplyScalar(along).sub(toSun);
+    return closest.length() < worldRadius("Sun");
+  }
+
+  function update() {
+    const w = window.innerWidth, h = window.innerHeight;
+    const placed = [];
+    if (names.some((name) => !sizes[name])) measure();
+
+    // importance: selected first, then big bodies
+    const order = [...names].sort((a, b) =>
+      (b === selected) - (a === selected) || worldRadius(b) - worldRadius(a)
+    );
+
+    for (const name of order) {
+      const el = labels[name];
+      const mesh = solarView.meshes[name];
+      world.copy(mesh.position);
+      ndc.copy(world).project(camera);
+
+      const onScreen = ndc.z < 1 && Math.abs(ndc.x) <= 1 && Math.abs(ndc.y) <= 1;
+      if (!mesh.visible || !onScreen || behindSun(name)) {
+        el.style.display = "none";
+        continue;
+      }
+
+      const x = (ndc.x * 0.5 + 0.5) * w;
+      const y = (-ndc.y * 0.5 + 0.5) * h;
+      el.style.display = "block";
+      el.style.transform = `translate(-50%, -100%) translate(${x}px, ${y - 8}px)`;
+      el.classList.toggle("selected", name === selected);
+
+      // declutter against labels already placed this frame
+      const { w: bw, h: bh } = sizes[name] ?? { w: 0, h: 0 };
+      const rect = { x0: x - bw / 2, x1: x + bw / 2, y0: y - 8 - bh, y1: y - 8 };
+      const overlaps = placed.some((r) => rect.x0 < r.x1 && rect.x1 > r.x0 && rect.y0 < r.y1 && rect.y1 > r.y0);
+      el.style.opacity = overlaps ? "0" : "1";
+      if (!overlaps) placed.push(rect);
+    }
+  }
+
+  return {
+    element,
+    setSelected: (name) => { selected = name; },
+    update,
+    dispose: () => element.remove(),
+  };
+}
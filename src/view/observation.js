@@ -0,0 +1,40 @@
+// src/view/observation.js
+import * as THREE from "three";
+
+/**
+ * Is a body being observed by the camera?
+ * Observed = inside the view frustum and not hidden behind another body.
+ *
+ * Returns isObserved(name). Call after applyPositions for the frame.
+ */
+export function createObserver(camera, solarView, config) {
+  const frustum = new THREE.Frustum();
+  const projView = new THREE.Matrix4();
+  const sphere = new THREE.Sphere();
+  const raycaster = new THREE.Raycaster();
+  const dir = new THREE.Vector3();
+
+  const radiusOf = (name) => (config.bodies[name].radius ?? 1) * solarView.meshes[name].scale.x;
+
+  return function isObserved(name) {
+    const mesh = solarView.meshes[name];
+    if (!mesh || !mesh.visible) return false;
+
+    camera.updateMatrixWorld();
+    projView.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    frustum.setFromProjectionMatrix(projView);
+    sphere.set(mesh.position, radiusOf(name));
+    if (!frustum.intersectsSphere(sphere)) return false;
+
+    // occluded if another body sits between the camera and the body's center
+    dir.subVectors(mesh.position, camera.position);
+    const distance = dir.length();
+    raycaster.set(camera.position, dir.normalize());
+    raycaster.far = distance - radiusOf(name);
+
+    const blockers = Object.entries(solarView.meshes)
+      .filter(([other, m]) => other !== name && config.bodies[other] && m.visible)
+      .map(([, m]) => m);
+    return raycaster.intersectObjects(blockers, false).length === 0;
+  };
+}
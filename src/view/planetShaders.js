@@ -0,0 +1,206 @@
+// src/view/planetShaders.js
+import * as THREE from "three";
+
+// Procedural planet surfaces, declared per body in solarConfig:
+//   shader: { type: "ocean" | "terrain" | "lava" | "fog",
+//             colors: { name: "#hex" }, params: { name: number } }
+// Colors/params left out fall back to the type's defaults below; each one
+// becomes a uniform (deep -> uDeep, stormScale -> uStormScale).
+//
+// Like the Sun shader, surfaces are FBM on the object-space normal, so there
+// is no UV seam. They are patched into MeshStandardMaterial (albedo,
+// roughness, emissive glow), so sunLight shading and shadows work as before.
+
+const noiseChunk = /* glsl */ `
+  float hash(vec3 p) {
+    return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453123);
+  }
+
+  float noise3(vec3 p) {
+    vec3 i = floor(p);
+    vec3 f = fract(p);
+    vec3 u = f * f * (3.0 - 2.0 * f);
+
+    float nx00 = mix(hash(i + vec3(0,0,0)), hash(i + vec3(1,0,0)), u.x);
+    float nx10 = mix(hash(i + vec3(0,1,0)), hash(i + vec3(1,1,0)), u.x);
+    float nx01 = mix(hash(i + vec3(0,0,1)), hash(i + vec3(1,0,1)), u.x);
+    float nx11 = mix(hash(i + vec3(0,1,1)), hash(i + vec3(1,1,1)), u.x);
+
+    return mix(mix(nx00, nx10, u.y), mix(nx01, nx11, u.y), u.z);
+  }
+
+  float fbm3(vec3 p) {
+    float v = 0.0;
+    float a = 0.5;
+    for (int i = 0; i < 5; i++) {
+      v += a * noise3(p);
+      p *= 2.0;
+      a *= 0.5;
+    }
+    return v;
+  }
+
+  vec3 rotateY(vec3 p, float a) {
+    float c = cos(a), s = sin(a);
+    return vec3(c * p.x + s * p.z, p.y, -s * p.x + c * p.z);
+  }
+`;
+
+// Each surface fills albedo, glow (emissive) and roughness from the unit
+// object-space normal n.
+const surfaces = {
+  // Giant's Deep: latitude bands warped by noise, with swirling storms
+  ocean: {
+    colors: { deep: "#123c8a", shallow: "#2f7fd8", storm: "#d8ecff" },
+    params: { bands: 9, warp: 0.35, stormScale: 5, speed: 0.05 },
+    glsl: /* glsl */ `
+      void planetSurface(vec3 n, out vec3 albedo, out vec3 glow, out float rough) {
+        float t = uTime * uSpeed;
+        float warp = fbm3(n * 3.0 + vec3(t, 0.0, -t)) - 0.5;
+        float band = 0.5 + 0.5 * sin((n.y + warp * uWarp) * uBands * 3.14159265);
+        albedo = mix(uDeep, uShallow, 0.8 * band + 0.2 * fbm3(n * 8.0 - t));
+
+        // storms spin faster near the equator
+        vec3 swirl = rotateY(n, t * 2.0 * (1.0 - abs(n.y)));
+        float storm = smoothstep(0.58, 0.78, fbm3(swirl * uStormScale));
+        albedo = mix(albedo, uStorm, storm);
+
+        glow = vec3(0.0);
+        rough = mix(0.25, 0.6, storm);
+      }
+    `,
+  },
+
+  // Timber Hearth: seas, forest and grass by height, rock peaks, craters
+  terrain: {
+    colors: { water: "#2a5f8f", forest: "#2f6b34", grass: "#7aa34e", rock: "#8b8377" },
+    params: { scale: 4, craterScale: 6, craters: 1, seaLevel: 0.38 },
+    glsl: /* glsl */ `
+      // distance to the nearest crater center (jittered grid, Worley-style)
+      float craterDistance(vec3 p) {
+        vec3 cell = floor(p);
+        float d = 1.0;
+        for (int x = -1; x <= 1; x++)
+        for (int y = -1; y <= 1; y++)
+        for (int z = -1; z <= 1; z++) {
+          vec3 c = cell + vec3(x, y, z);
+          vec3 center = c + vec3(hash(c), hash(c + 17.0), hash(c + 31.0));
+          d = min(d, length(center - p));
+        }
+        return d;
+      }
+
+      void planetSurface(vec3 n, out vec3 albedo, out vec3 glow, out float rough) {
+        float h = fbm3(n * uScale);
+
+        float d = craterDistance(n * uCraterScale);
+        float bowl = 1.0 - smoothstep(0.0, 0.3, d);
+        float rim = smoothstep(0.25, 0.32, d) * (1.0 - smoothstep(0.32, 0.42, d));
+        h += uCraters * (0.12 * rim - 0.18 * bowl);
+
+        vec3 land = mix(uForest, uGrass, smoothstep(0.45, 0.6, h + 0.1 * fbm3(n * 20.0)));
+        land = mix(land, uRock, smoothstep(0.62, 0.72, h));
+
+        float sea = 1.0 - smoothstep(uSeaLevel - 0.01, uSeaLevel + 0.01, h);
+        albedo = mix(land, uWater, sea);
+        glow = vec3(0.0);
+        rough = mix(0.9, 0.3, sea);
+      }
+    `,
+  },
+
+  // Hollow's Lantern: dark crust over glowing, slowly shifting cracks and pools
+  lava: {
+    colors: { crust: "#2a1a14", lava: "#ff5a1a" },
+    params: { scale: 5, speed: 0.03, glow: 2.5 },
+    glsl: /* glsl */ `
+      void planetSurface(vec3 n, out vec3 albedo, out vec3 glow, out float rough) {
+        float t = uTime * uSpeed;
+        float f = fbm3(n * uScale + vec3(0.0, t, 0.0));
+        float cracks = 1.0 - smoothstep(0.015, 0.06, abs(f - 0.5));
+        float pools = smoothstep(0.62, 0.7, fbm3(n * uScale * 0.5 - t));
+        float hot = max(cracks, pools);
+
+        albedo = mix(uCrust, uLava * 0.3, hot);
+        glow = uLava * hot * uGlow * (0.85 + 0.15 * sin(uTime * 3.0 + f * 20.0));
+        rough = mix(0.95, 0.4, hot);
+      }
+    `,
+  },
+
+  // Dark Bramble: drifting pale fog over a dark green body
+  fog: {
+    colors: { fog: "#cfe3c4", deep: "#1d3b2c" },
+    params: { scale: 3, speed: 0.04, glow: 0.35 },
+    glsl: /* glsl */ `
+      void planetSurface(vec3 n, out vec3 albedo, out vec3 glow, out float rough) {
+        float t = uTime * uSpeed;
+        float a = fbm3(n * uScale + vec3(t, -t, t));
+        float density = smoothstep(0.3, 0.8, fbm3(n * uScale * 2.0 + a * 2.0 - t));
+
+        albedo = mix(uDeep, uFog, density);
+        glow = uFog * density * uGlow;
+        rough = 1.0;
+      }
+    `,
+  },
+};
+
+const uniformName = (key) => `u${key[0].toUpperCase()}${key.slice(1)}`;
+
+/**
+ * MeshStandardMaterial with a procedural surface.
+ * shader: the body's `shader` block; color: flat fallback color
+ * (still set as material.color, e.g. for trails).
+ * Returns the material; userData.uniforms.uTime drives the animation.
+ * Throws on an unknown type, color or param name.
+ */
+export function createPlanetMaterial(shader, color) {
+  const surface = surfaces[shader.type];
+  if (!surface) throw new Error(`Unknown planet shader type '${shader.type}'`);
+
+  const uniforms = { uTime: { value: 0 } };
+  const decls = ["uniform float uTime;"];
+
+  for (const [key, value] of Object.entries({ ...surface.colors, ...shader.colors })) {
+    if (!(key in surface.colors)) throw new Error(`${shader.type} shader has no color '${key}'`);
+    uniforms[uniformName(key)] = { value: new THREE.Color(value) };
+    decls.push(`uniform vec3 ${uniformName(key)};`);
+  }
+  for (const [key, value] of Object.entries({ ...surface.params, ...shader.params })) {
+    if (!(key in surface.params)) throw new Error(`${shader.type} shader has no param '${key}'`);
+    uniforms[uniformName(key)] = { value };
+    decls.push(`uniform float ${uniformName(key)};`);
+  }
+
+  const material = new THREE.MeshStandardMaterial({ color, roughness: 1.0, metalness: 0.0 });
+  material.userData.uniforms = uniforms; // same objects the compiled shader reads
+
+  material.onBeforeCompile = (program) => {
+    Object.assign(program.uniforms, uniforms);
+
+    program.vertexShader = program.vertexShader
+      .replace("#include <common>", "#include <common>\nvarying vec3 vObjNormal;")
+      .replace("#include <begin_vertex>", "#include <begin_vertex>\nvObjNormal = normalize(normal);");
+
+    program.fragmentShader = program.fragmentShader
+      .replace(
+        "#include <common>",
+        ["#include <common>", "varying vec3 vObjNormal;", ...decls, noiseChunk, surface.glsl].join("\n")
+      )
+      .replace(
+        "#include <color_fragment>",
+        [
+          "#include <color_fragment>",
+          "vec3 planetAlbedo; vec3 planetGlow; float planetRough;",
+          "planetSurface(normalize(vObjNormal), planetAlbedo, planetGlow, planetRough);",
+          "diffuseColor.rgb = planetAlbedo;",
+        ].join("\n")
+      )
+      .replace("#include <roughnessmap_fragment>", "#include <roughnessmap_fragment>\nroughnessFactor = planetRough;")
+      .replace("#include <emissivemap_fragment>", "#include <emissivemap_fragment>\ntotalEmissiveRadiance += planetGlow;");
+  };
+  material.customProgramCacheKey = () => `planet-${shader.type}`;
+
+  return material;
+}
@@ -1,21 +1,47 @@
 // src/view/solarView.js
 import * as THREE from "three";
+import { orbitPathPoints } from "../sim/solarSim.js";
+import { sortBodies } from "../sim/hierarchy.js";
+import { crustTiles } from "../sim/crustCollapse.js";
+import { mulberry32 } from "../sim/random.js";
+import { createPlanetMaterial } from "./planetShaders.js";
+import { createAtmosphere } from "./atmosphereView.js";
 
 /**
  * Creates simple sphere meshes for each body and returns:
  * - group: THREE.Group containing all bodies
  * - meshes: map name -> mesh
- * - applyPositions(positions): updates mesh positions
+ * - frames: map name -> THREE.Group that follows the body (no rotation/scale);
+ *   a body's orbit ring lives in its parent's frame, so rings work at any depth
+ * - applyPositions(positions, frame?): updates mesh + frame positions;
+ *   frame = { origin, rotation } from applyReferenceFrame() (optional) moves
+ *   and turns the orbit rings so they match a body-centric/rotating view
+ * - syncParents(bodies): moves orbit rings whose body changed parent
+ *   (quantum bodies); `bodies` is getState().bodies
+ * - applySand(state, t): Hourglass Twins column/stream/shells from
+ *   sandStateAt() (only when config.sand is set)
+ * - applyCrust(state): crust fragments from crustStateAt(); blackHoleCore is
+ *   the core mesh under them (only when config.crust is set, else null)
+ * - updateShaders(t): animates bodies with a procedural `shader` (planetShaders.js)
+ * - updateBody(name): rebuild one body's mesh and ring after its config changed
+ * - dispose(): remove and free everything except overrides.sunMesh
  *
- * NOTE: For now, all planets are basic materials.
- * Later you can replace each planet’s material with custom shaders/textures
- * without touching the sim.
+ * Bodies are flat `color` spheres unless their config declares a `shader`
+ * (see src/view/planetShaders.js); the sim never sees either.
  */
 export function createSolarView(scene, config, overrides = {}) {
   const group = new THREE.Group();
   scene.add(group);
 
   const meshes = {};
+  const frames = {}; // map name -> parent-relative frame for child orbit rings
+  const tmpMatrix = new THREE.Matrix4();
+  const tmpAxis = new THREE.Vector3();
+
+  // Root bodies orbit the heliocentric origin; their rings live here.
+  const originFrame = new THREE.Group();
+  originFrame.name = "OriginFrame";
+  group.add(originFrame);
   const orbitLines = {}; // map name -> orbit line mesh
 
   // Helper: build a sphere
@@ -32,10 +58,13 @@ export function createSolarView(scene, config, overrides = {}) {
     return m;
   }
 
-  // Helper: create a thin orbit line (thin torusgeometry or circle line)
-  // Using a thin flat torus to represent the orbital plane.
-  function makeOrbitLine(radius, color = 0x888888, tubeRadius = 0.2) {
-    const geo = new THREE.TorusGeometry(radius, tubeRadius, 8, 128);
+  // Helper: create a thin orbit line (thin tube following the orbit path)
+  // The path is sampled from the same Keplerian elements the sim uses,
+  // so it is already inclined/rotated in the parent frame.
+  function makeOrbitLine(orbit, color = 0x888888, tubeRadius = 0.2) {
+    const points = orbitPathPoints(orbit, 256).map((p) => new THREE.Vector3(p.x, p.y, p.z));
+    const curve = new THREE.CatmullRomCurve3(points, true);
+    const geo = new THREE.TubeGeometry(curve, 256, tubeRadius, 8, true);
     const mat = new THREE.MeshBasicMaterial({
       color,
       transparent: true,
@@ -45,162 +74,528 @@ export function createSolarView(scene, config, overrides = {}) {
     return new THREE.Mesh(geo, mat);
   }
 
-  for (const name of config.order) {
+  // Helper: small metallic hull for stations (not a planet, so not a sphere)
+  function makeStation(radius) {
+    const geo = new THREE.OctahedronGeometry(radius);
+    const mat = new THREE.MeshStandardMaterial({
+      color: 0xb8c0cc,
+      roughness: 0.4,
+      metalness: 0.7,
+    });
+    const m = new THREE.Mesh(geo, mat);
+    m.castShadow = true;
+    m.receiveShadow = true;
+    return m;
+  }
+
+  // Helper: self-lit static body (the White Hole) with a soft additive glow
+  function makeStatic(radius) {
+    const core = new THREE.Mesh(
+      new THREE.SphereGeometry(radius, 32, 32),
+      new THREE.MeshBasicMaterial({ color: 0xffffff })
+    );
+    const glow = new THREE.Mesh(
+      new THREE.SphereGeometry(radius * 2.2, 32, 32),
+      new THREE.MeshBasicMaterial({
+        color: 0xdde8ff,
+        transparent: true,
+        opacity: 0.18,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.BackSide,
+      })
+    );
+    core.add(glow);
+    return core;
+  }
+
+  // Helper: comet ice tail. Unit cone, tip at the comet (origin), widening
+  // along +Y; applyPositions points it away from the Sun and sets its length.
+  function makeCometTail() {
+    const geo = new THREE.ConeGeometry(1, 1, 24, 1, true);
+    geo.rotateX(Math.PI);
+    geo.translate(0, 0.5, 0);
+    const mat = new THREE.ShaderMaterial({
+      vertexShader: /* glsl */ `
+        varying float vAlong;
+
+        void main() {
+          vAlong = position.y; // 0 at the comet, 1 at the far end
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: /* glsl */ `
+        precision highp float;
+
+        uniform vec3 uColor;
+
+        varying float vAlong;
+
+        void main() {
+          float a = pow(1.0 - vAlong, 1.6) * 0.55;
+          gl_FragColor = vec4(uColor * a, a);
+        }
+      `,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      uniforms: {
+        uColor: { value: new THREE.Color(0xbfe8ff) },
+      },
+    });
+    const tail = new THREE.Mesh(geo, mat);
+    tail.castShadow = false;
+    return tail;
+  }
+
+  // Helper: a crust of loose-able patches around a black hole core.
+  // The returned mesh is an invisible full-size sphere, so picking, occlusion
+  // and trail colors treat the body as before; the patches and the core are
+  // its children. Patch geometry is centered on the patch, so applyCrust()
+  // can move/tumble each one about its own middle.
+  function makeCrust(radius, color, crust) {
+    const proxy = makeSphere(radius, color);
+    proxy.material.visible = false;
+
+    const core = new THREE.Mesh(
+      new THREE.SphereGeometry(crust.coreRadius, 32, 32),
+      new THREE.MeshBasicMaterial({ color: 0x000000 })
+    );
+    core.name = "BlackHoleCore";
+    proxy.add(core);
+
+    const mat = new THREE.MeshStandardMaterial({
+      color,
+      roughness: 1.0,
+      metalness: 0.0,
+      side: THREE.DoubleSide,
+    });
+    return { proxy, core, mat, fragments: makeCrustFragments(proxy, radius, mat, crust) };
+  }
+
+  function makeCrustFragments(proxy, radius, mat, crust) {
+    return crustTiles(crust).map((tile) => {
+      const geo = new THREE.SphereGeometry(
+        radius, 6, 6,
+        tile.phiStart, tile.phiLength, tile.thetaStart, tile.thetaLength
+      );
+      const d = tile.direction;
+      geo.translate(-d.x * radius, -d.y * radius, -d.z * radius);
+      const m = new THREE.Mesh(geo, mat);
+      m.position.set(d.x * radius, d.y * radius, d.z * radius);
+      m.castShadow = true;
+      m.receiveShadow = true;
+      proxy.add(m);
+      return { mesh: m, direction: new THREE.Vector3(d.x, d.y, d.z) };
+    });
+  }
+
+  const cometTails = {}; // name -> { mesh, radius, periapsis }
+  const shaded = [];     // procedural planet materials (animated by updateShaders)
+  const atmospheres = {}; // name -> createAtmosphere() result
+  let crustView = null;  // { proxy, core, mat, fragments } when config.crust is set
+
+  // --- Orbit line for a body (if it has an orbit) ---
+  // Rings are parent-relative, so they go in the parent's frame
+  // (roots orbit the origin, i.e. originFrame).
+  function addRing(name) {
+    const b = config.bodies[name];
+    if (!b.orbit) return;
+
+    const orbitColor = 0x666688; // subtle blue-gray for orbits
+    const orbitLine = makeOrbitLine(b.orbit, orbitColor);
+    const parent = b.parent ?? null;
+
+    (parent ? frames[parent] : originFrame).add(orbitLine);
+
+    orbitLines[name] = {
+      mesh: orbitLine,
+      parent,
+      radius: b.orbit.semiMajorAxis ?? b.orbit.radius,
+    };
+  }
+
+  function removeRing(name) {
+    const line = orbitLines[name];
+    if (!line) return;
+    line.mesh.removeFromParent();
+    line.mesh.geometry.dispose();
+    line.mesh.material.dispose();
+    delete orbitLines[name];
+  }
+
+  // --- The body itself, with whatever it carries (atmosphere, tail) ---
+  function addMesh(name) {
     const b = config.bodies[name];
 
     // Skip barycenter (it’s not a visible body)
-    if (b.type === "barycenter") continue;
+    if (b.type === "barycenter") return;
 
     // Sun mesh will be provided by your existing sun shader code.
     // So the view can “attach” to it instead of creating a basic sphere.
     if (name === "Sun" && overrides.sunMesh) {
       meshes.Sun = overrides.sunMesh;
       group.add(overrides.sunMesh);
-      continue;
+      return;
     }
 
-    // fallback visuals
     const radius = b.radius ?? 10;
-    const color =
-      name === "AshTwin" ? 0xd8b08c :
-      name === "EmberTwin" ? 0xff6f3b :
-      name === "TimberHearth" ? 0x4ea35a :
-      name === "Attlerock" ? 0xbdbdbd :
-      name === "BrittleHollow" ? 0x8f6b4b :
-      name === "HollowsLantern" ? 0xd75a2b :
-      name === "GiantsDeep" ? 0x2d6dd2 :
-      name === "DarkBramble" ? 0x2c6b4f :
-      0xffffff;
+
+    if (b.type === "station" || b.type === "static") {
+      const mesh = b.type === "station" ? makeStation(radius) : makeStatic(radius);
+      meshes[name] = mesh;
+      group.add(mesh);
+      return;
+    }
+
+    // flat color unless the body declares a procedural shader
+    const color = b.color ?? 0xffffff;
 
     const seg = name === "DarkBramble" ? 24 : 32;
-    const mesh = makeSphere(radius, color, seg);
+    let mesh;
+    if (config.crust?.body === name) {
+      crustView = makeCrust(radius, color, config.crust);
+      mesh = crustView.proxy;
+    } else {
+      mesh = makeSphere(radius, color, seg);
+      if (b.shader) {
+        mesh.material.dispose();
+        mesh.material = createPlanetMaterial(b.shader, color);
+        shaded.push(mesh.material);
+      }
+    }
 
     meshes[name] = mesh;
     mesh.castShadow = true;
     group.add(mesh);
 
-    // --- Create orbit line for this body (if it has an orbit) ---
-    if (b.orbit) {
-      const orbitColor = 0x666688; // subtle blue-gray for orbits
-      const orbitLine = makeOrbitLine(b.orbit.radius, orbitColor);
+    if (b.atmosphere) {
+      const atmosphere = createAtmosphere(radius, b.atmosphere);
+      mesh.add(atmosphere.mesh);
+      atmospheres[name] = atmosphere;
+    }
 
-      // Apply the same inclination + node rotations as the orbit math
-      if (b.orbit.inclination) {
-        orbitLine.rotateX(b.orbit.inclination);
-      }
-      if (b.orbit.node) {
-        orbitLine.rotateZ(b.orbit.node);
-      }
+    if (b.type === "comet") {
+      const tail = makeCometTail();
+      mesh.add(tail);
+      const { semiMajorAxis = b.orbit.radius, eccentricity = 0 } = b.orbit;
+      cometTails[name] = { mesh: tail, radius, periapsis: semiMajorAxis * (1 - eccentricity) };
+    }
+  }
 
-      // Determine parent: moons orbit their parent, others orbit sun (at origin)
-      const parent = b.parent ? b.parent : null;
+  // Free a body's mesh and everything hanging off it (not the Sun override)
+  function removeMesh(name) {
+    const mesh = meshes[name];
+    if (!mesh || mesh === overrides.sunMesh) return;
+    mesh.removeFromParent();
+    mesh.traverse((obj) => {
+      obj.geometry?.dispose();
+      const i = shaded.indexOf(obj.material);
+      if (i >= 0) shaded.splice(i, 1);
+      obj.material?.dispose();
+    });
+    delete meshes[name];
+    delete atmospheres[name];
+    delete cometTails[name];
+  }
 
-      if (parent && meshes[parent]) {
-        // Moon orbit: attach to parent planet
-        meshes[parent].add(orbitLine);
-      } else {
-        // Primary/barycenter orbit: fixed in sun's reference frame (at origin)
-        group.add(orbitLine);
-      }
+  // Parents first, so a parent's frame exists before any child ring needs it.
+  for (const name of sortBodies(config.bodies)) {
+    const frame = new THREE.Group();
+    frame.name = `${name}Frame`;
+    group.add(frame);
+    frames[name] = frame;
 
-      orbitLines[name] = {
-        mesh: orbitLine,
-        parent: parent,
-        radius: b.orbit.radius,
-      };
-    }
+    addRing(name);
+    addMesh(name);
   }
 
-  // --- NEW: Add orbit line for TwinsBarycenter (the center point between the twins) ---
-  const twinsBaryBody = config.bodies.TwinsBarycenter;
-  if (twinsBaryBody && twinsBaryBody.orbit) {
-    const baryOrbitColor = 0x666688; // same subtle blue-gray as other orbits
-    const baryOrbitLine = makeOrbitLine(twinsBaryBody.orbit.radius, baryOrbitColor);
+  // --- Hourglass Twins sand column: cylinder from `sand.from` to `sand.to` ---
+  // Cylinder geometry is created with radius 1 and height 1, so scale X/Z is
+  // the visual radius and scale Y the length. applySand() sets the thickness.
+  const sand = config.sand ?? null;
+  const sandColor = new THREE.Color(sand?.color ?? 0xffcc77);
+  let columnRadius = 0;
+  let sandParticles = null;
+  const sandShells = {}; // twin name -> sand layer mesh (child of the twin)
 
-    // Apply inclination + node rotations (same as other orbits)
-    if (twinsBaryBody.orbit.inclination) {
-      baryOrbitLine.rotateX(twinsBaryBody.orbit.inclination);
-    }
-    if (twinsBaryBody.orbit.node) {
-      baryOrbitLine.rotateZ(twinsBaryBody.orbit.node);
+  if (sand) {
+    const tubeGeo = new THREE.CylinderGeometry(1, 1, 1, 16, 1, true);
+    const tubeMat = new THREE.MeshStandardMaterial({
+      color: sandColor,
+      roughness: 0.6,
+      metalness: 0.0,
+      transparent: true,
+      opacity: 0.85,
+      // NOTE: leave depthWrite ON so shadows and depth sorting behave normally.
+      depthWrite: true,
+    });
+    const twinsTube = new THREE.Mesh(tubeGeo, tubeMat);
+    twinsTube.name = "TwinsTube";
+    // start hidden until positions are available
+    twinsTube.visible = false;
+    // Make it behave like the planets with respect to shadows.
+    twinsTube.castShadow = true;
+    twinsTube.receiveShadow = true;
+    group.add(twinsTube);
+    meshes.TwinsTube = twinsTube;
+
+    // Grains falling along the column, in the tube's local space (y: -0.5 at
+    // `from` to 0.5 at `to`). Each grain has a fixed random slot (seeded, so
+    // the column looks the same on every load); uFlow hides a share of them
+    // so the stream thins out with the flow.
+    const count = sand.column?.particles ?? 600;
+    const rng = mulberry32(sand.column?.seed ?? 1);
+    const seeds = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+      seeds[i * 4] = rng();                   // start along the column
+      seeds[i * 4 + 1] = rng() * Math.PI * 2; // angle around the axis
+      seeds[i * 4 + 2] = Math.sqrt(rng());    // distance from the axis
+      seeds[i * 4 + 3] = rng();               // visibility threshold
     }
+    const particleGeo = new THREE.BufferGeometry();
+    // position is unused by the shader but three.js needs it for the draw count
+    particleGeo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    particleGeo.setAttribute("aSeed", new THREE.BufferAttribute(seeds, 4));
 
-    // Attach to the main group (sun's reference frame) so it orbits the sun
-    group.add(baryOrbitLine);
+    sandParticles = new THREE.Points(particleGeo, new THREE.ShaderMaterial({
+      vertexShader: /* glsl */ `
+        uniform float uTime;
+        uniform float uSpeed;
+        uniform float uFlow;
+        uniform float uSize;
 
-    orbitLines.TwinsBarycenter = {
-      mesh: baryOrbitLine,
-      parent: null, // orbits the sun
-      radius: twinsBaryBody.orbit.radius,
-    };
+        attribute vec4 aSeed;
+
+        void main() {
+          float y = fract(aSeed.x + uTime * uSpeed) - 0.5;
+          float r = aSeed.z * 0.8;
+          vec3 p = vec3(cos(aSeed.y) * r, y, sin(aSeed.y) * r);
+          vec4 mv = modelViewMatrix * vec4(p, 1.0);
+          gl_Position = projectionMatrix * mv;
+          gl_PointSize = aSeed.w < uFlow ? max(uSize / -mv.z, 1.5) : 0.0;
+        }
+      `,
+      fragmentShader: /* glsl */ `
+        precision highp float;
+
+        uniform vec3 uColor;
+
+        void main() {
+          float d = length(gl_PointCoord - 0.5);
+          if (d > 0.5) discard;
+          gl_FragColor = vec4(uColor, 1.0 - d * 2.0);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      uniforms: {
+        uTime: { value: 0 },
+        uSpeed: { value: sand.column?.speed ?? 0.4 },
+        uFlow: { value: 0 },
+        uSize: { value: 60 },
+        uColor: { value: sandColor.clone().multiplyScalar(1.2) },
+      },
+    }));
+    sandParticles.name = "TwinsSandStream";
+    sandParticles.frustumCulled = false; // positions come from the shader
+    twinsTube.add(sandParticles);
+
+    // Sand layer on each twin: unit sphere scaled to the layer radius
+    for (const name of [sand.from, sand.to]) {
+      if (!meshes[name] || !sand.shells?.[name]) continue;
+      const shell = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 48, 48),
+        new THREE.MeshStandardMaterial({ color: sandColor, roughness: 1.0, metalness: 0.0 })
+      );
+      shell.name = `${name}Sand`;
+      shell.castShadow = true;
+      shell.receiveShadow = true;
+      meshes[name].add(shell);
+      sandShells[name] = shell;
+    }
   }
 
-  // --- New: create cylinder "tube" that will connect the Hourglass Twins ---
-  // Cylinder geometry is created with height=1 so we can scale Y to the desired length.
-  // Default radius is 1 -> we then scale X/Z to set actual visual radius.
-  const tubeGeo = new THREE.CylinderGeometry(3, 3, 1, 16);
-  const tubeMat = new THREE.MeshStandardMaterial({
-    color: 0xffcc77,
-    roughness: 0.6,
-    metalness: 0.0,
-    transparent: true,
-    opacity: 0.85,
-    // NOTE: leave depthWrite ON so shadows and depth sorting behave normally.
-    // If you *really* want soft additive “glow sand”, do that as a second mesh later.
-    depthWrite: true,
-  });
-  const twinsTube = new THREE.Mesh(tubeGeo, tubeMat);
-  twinsTube.name = "TwinsTube";
-  // start hidden until positions are available
-  twinsTube.visible = false;
-  // Make it behave like the planets with respect to shadows.
-  twinsTube.castShadow = true;
-  twinsTube.receiveShadow = true;
-  group.add(twinsTube);
-  meshes.TwinsTube = twinsTube;
-
-  function applyPositions(positions) {
+  function applyPositions(positions, frame = null) {
+    // Reference frame: every ring frame shares the same rotation
+    if (frame) {
+      const r = frame.rotation;
+      tmpMatrix.set(
+        r[0], r[1], r[2], 0,
+        r[3], r[4], r[5], 0,
+        r[6], r[7], r[8], 0,
+        0, 0, 0, 1
+      );
+      originFrame.position.set(frame.origin.x, frame.origin.y, frame.origin.z);
+      originFrame.quaternion.setFromRotationMatrix(tmpMatrix);
+      for (const f of Object.values(frames)) f.quaternion.copy(originFrame.quaternion);
+    }
+
     for (const [name, pos] of Object.entries(positions)) {
+      frames[name]?.position.set(pos.x, pos.y, pos.z);
       const mesh = meshes[name];
       if (!mesh) continue;
       mesh.position.set(pos.x, pos.y, pos.z);
     }
 
-    // Update the connecting cylinder between AshTwin and EmberTwin
-    const aPos = positions.AshTwin;
-    const bPos = positions.EmberTwin;
+    const sunPos = positions.Sun;
+
+    // Atmospheres light up on the side facing the Sun
+    for (const [name, atmosphere] of Object.entries(atmospheres)) {
+      const p = positions[name];
+      if (!p || !sunPos) continue;
+      atmosphere.setSunDirection(tmpAxis.set(sunPos.x - p.x, sunPos.y - p.y, sunPos.z - p.z));
+    }
+
+    // Comet tails point away from the Sun, longest near periapsis
+    for (const [name, tail] of Object.entries(cometTails)) {
+      const p = positions[name];
+      if (!p || !sunPos) continue;
+      const away = new THREE.Vector3(p.x - sunPos.x, p.y - sunPos.y, p.z - sunPos.z);
+      const dist = away.length();
+      if (dist < 1e-6) continue;
+      tail.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), away.divideScalar(dist));
+      const length = tail.radius * 40 * THREE.MathUtils.clamp(tail.periapsis / dist, 0.1, 1);
+      tail.mesh.scale.set(tail.radius * 1.5, length, tail.radius * 1.5);
+    }
+
+    // Sand column between the twins (hidden while no sand is flowing)
     const tube = meshes.TwinsTube;
+    if (tube) {
+      const aPos = positions[sand.from];
+      const bPos = positions[sand.to];
+      tube.visible = false;
 
-    if (tube && aPos && bPos) {
-      // compute vectors
-      const p1 = new THREE.Vector3(aPos.x, aPos.y, aPos.z);
-      const p2 = new THREE.Vector3(bPos.x, bPos.y, bPos.z);
-      const dir = new THREE.Vector3().subVectors(p2, p1);
-      const len = dir.length();
-
-      if (len > 0.0001) {
-        // midpoint
-        const mid = new THREE.Vector3().addVectors(p1, p2).multiplyScalar(0.5);
-        tube.position.copy(mid);
-
-        // align Y axis of cylinder to the direction vector
-        const up = new THREE.Vector3(0, 1, 0);
-        const q = new THREE.Quaternion().setFromUnitVectors(up, dir.clone().normalize());
-        tube.quaternion.copy(q);
-
-        // set scale: geometry height is 1 -> scale.y = length
-        // adjust radius via scale.x/scale.z (tweak 0.18 -> desired visual thickness)
-        const radius = Math.max(0.12, Math.min(0.6, len * 0.02)); // hint: radius proportional to distance, clamped
-        tube.scale.set(radius, len, radius);
-
-        tube.visible = true;
-      } else {
-        tube.visible = false;
+      if (aPos && bPos && columnRadius > 0) {
+        const p1 = new THREE.Vector3(aPos.x, aPos.y, aPos.z);
+        const p2 = new THREE.Vector3(bPos.x, bPos.y, bPos.z);
+        const dir = new THREE.Vector3().subVectors(p2, p1);
+        const len = dir.length();
+
+        if (len > 0.0001) {
+          tube.position.addVectors(p1, p2).multiplyScalar(0.5);
+          // align the cylinder's Y axis with from -> to
+          tube.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), dir.divideScalar(len));
+          tube.scale.set(columnRadius, len, columnRadius);
+          tube.visible = true;
+        }
       }
-      } else if (tube) {
-      tube.visible = false;
     }
   }
 
-  return { group, meshes, applyPositions, orbitLines };
+  /**
+   * Drive the twins from sandStateAt() (src/sim/sandFlow.js):
+   * column thickness and stream density follow the flow, shells follow
+   * each twin's sand radius. t is the loop time (animates the stream).
+   * Call before applyPositions() so the column uses this frame's thickness.
+   */
+  function applySand(state, t) {
+    if (!sand) return;
+    const { minRadius = 0.06, maxRadius = 0.45 } = sand.column ?? {};
+    columnRadius = state.flow > 0 ? minRadius + (maxRadius - minRadius) * state.flow : 0;
+
+    sandParticles.material.uniforms.uTime.value = t;
+    sandParticles.material.uniforms.uFlow.value = state.flow;
+
+    for (const [name, shell] of Object.entries(sandShells)) {
+      const radius = state.shells[name]?.radius ?? 0;
+      shell.scale.setScalar(Math.max(radius, 1e-3));
+      shell.visible = radius > 0;
+    }
+  }
+
+  /**
+   * Place the crust fragments from crustStateAt() (src/sim/crustCollapse.js):
+   * loose ones slide toward the core along their direction and tumble;
+   * swallowed ones are hidden.
+   */
+  function applyCrust(state) {
+    if (!crustView) return;
+    state.fragments.forEach((f, i) => {
+      const { mesh, direction } = crustView.fragments[i];
+      mesh.visible = !f.swallowed;
+      mesh.position.copy(direction).multiplyScalar(f.distance);
+      if (f.detached) mesh.quaternion.setFromAxisAngle(tmpAxis.set(f.axis.x, f.axis.y, f.axis.z), f.angle);
+      else mesh.quaternion.identity();
+    });
+  }
+
+  // Advance the procedural planet surfaces (t in seconds)
+  function updateShaders(t) {
+    for (const mat of shaded) mat.userData.uniforms.uTime.value = t;
+  }
+
+  function syncParents(bodies) {
+    for (const [name, line] of Object.entries(orbitLines)) {
+      const parent = bodies[name]?.parent ?? null;
+      if (parent === line.parent) continue;
+      (parent ? frames[parent] : originFrame).add(line.mesh); // add() re-parents
+      line.parent = parent;
+    }
+  }
+
+  /**
+   * Pick up live edits to config.bodies[name] (orbit, radius, color, ...):
+   * the ring is rebuilt from the new elements and the mesh is rebuilt in
+   * place. Brittle Hollow's crust is re-cut around the same black hole core,
+   * and sand shells move over to the new twin mesh.
+   */
+  function updateBody(name) {
+    const b = config.bodies[name];
+    removeRing(name);
+    addRing(name);
+    if (name === "Sun" && overrides.sunMesh) return;
+
+    if (crustView && config.crust.body === name) {
+      const { proxy, mat } = crustView;
+      const radius = b.radius ?? 10;
+      proxy.geometry.dispose();
+      proxy.geometry = new THREE.SphereGeometry(radius, 32, 32);
+      mat.color.set(b.color ?? 0xffffff);
+      for (const f of crustView.fragments) {
+        f.mesh.removeFromParent();
+        f.mesh.geometry.dispose();
+      }
+      crustView.fragments = makeCrustFragments(proxy, radius, mat, config.crust);
+      return;
+    }
+
+    const old = meshes[name];
+    const shell = sandShells[name];
+    shell?.removeFromParent();
+    removeMesh(name);
+    addMesh(name);
+    const mesh = meshes[name];
+    if (mesh && old) mesh.position.copy(old.position);
+    if (mesh && shell) mesh.add(shell);
+  }
+
+  // Remove everything this view built; the caller's Sun mesh is left intact.
+  function dispose() {
+    scene.remove(group);
+    const sun = overrides.sunMesh;
+    if (sun) group.remove(sun);
+    group.traverse((obj) => {
+      obj.geometry?.dispose();
+      const mats = Array.isArray(obj.material) ? obj.material : obj.material ? [obj.material] : [];
+      for (const m of mats) m.dispose();
+    });
+  }
+
+  return {
+    group,
+    meshes,
+    frames,
+    originFrame,
+    blackHoleCore: crustView?.core ?? null,
+    applyPositions,
+    applySand,
+    applyCrust,
+    updateShaders,
+    syncParents,
+    updateBody,
+    orbitLines,
+    dispose,
+  };
 }
\ No newline at end of file
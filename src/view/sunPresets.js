@@ -0,0 +1,254 @@
+// src/view/sunPresets.js
+// Sun look presets: every GUI-tunable sun and halo uniform plus the
+// exposure, as versioned JSON. Named presets live in localStorage.
+// (The loop-driven uniforms - age, flash, loop boost - are not part of a
+// preset; the time loop sets them every frame.)
+
+export const PRESET_VERSION = 2;
+
+const STORAGE_KEY = "outer-wilds-sun.presets";
+
+/**
+ * The bundled look. Shape of a version 2 preset:
+ * { version, sun: { ..., noise: {...}, spots: {...} }, halo: {...}, toneMappingExposure }
+ * Any field may be left out; applying a preset only touches what it has.
+ */
+export const DEFAULT_PRESET = {
+  version: PRESET_VERSION,
+  sun: {
+    vibrance: 4,
+    saturation: 1.35,
+    baseColor: "#ff5b14",
+    hotColor: "#ffc24a",
+    noise: {
+      largeScale: 3.87,
+      smallScale: 14.2,
+      smallFlowFactor: 1.96,
+      fbmAmp: 0.42,
+      fbmGain: 0.48,
+      fbmLacunarity: 2,
+    },
+    spots: {
+      scale: 1,
+      intensity: 0,
+      thresholdLow: 0,
+      thresholdHigh: 0,
+      flowRadius: 0,
+      loopPeriod: 60,
+      pulse: 0,
+      phaseScale: 0.1,
+    },
+  },
+  halo: {
+    color: "#ffd07a",
+    intensity: 8,
+    alpha: 0.4,
+    power: 2.2,
+    size: 1.1,
+  },
+  toneMappingExposure: 1,
+};
+
+// Older preset formats, each lifted one version up.
+const MIGRATIONS = {
+  // v1: the original "Copy config JSON" shape, no version field,
+  // u-prefixed sun keys and spot-prefixed spot keys
+  1: (j) => ({
+    version: 2,
+    sun: {
+      vibrance: j.uVibrance,
+      saturation: j.uSaturation,
+      baseColor: j.uBaseColor,
+      hotColor: j.uHotColor,
+      noise: j.noise && { ...j.noise },
+      spots: j.spots && {
+        scale: j.spots.spotScale,
+        intensity: j.spots.spotIntensity,
+        thresholdLow: j.spots.spotThresholdLow,
+        thresholdHigh: j.spots.spotThresholdHigh,
+        flowRadius: j.spots.spotFlowRadius,
+        loopPeriod: j.spots.loopPeriod,
+        pulse: j.spots.spotPulse,
+        phaseScale: j.spots.spotPhaseScale,
+      },
+    },
+    halo: j.halo && { ...j.halo },
+    toneMappingExposure: j.toneMappingExposure,
+  }),
+};
+
+/**
+ * Bring preset JSON of any known version up to PRESET_VERSION.
+ * Presets without a version are version 1. Throws on anything newer.
+ */
+export function migratePreset(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("A preset must be a JSON object");
+  }
+  let preset = json;
+  let version = preset.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown preset version ${JSON.stringify(version)}`);
+  if (version > PRESET_VERSION) {
+    throw new Error(`Preset version ${version} is newer than this app supports (${PRESET_VERSION})`);
+  }
+  while (version < PRESET_VERSION) {
+    preset = MIGRATIONS[version](preset);
+    version = preset.version;
+  }
+  return preset;
+}
+
+// "a.b.c" lookup that tolerates missing branches
+function getPath(obj, path) {
+  return path.split(".").reduce((o, key) => o?.[key], obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let o = obj;
+  for (const key of keys) o = o[key] ??= {};
+  o[last] = value;
+}
+
+/**
+ * Preset manager for the sun / halo materials.
+ *
+ * targets: { sunMaterial, haloMaterial, halo (mesh; size is its scale), renderer }
+ * storage: a Storage (window.localStorage by default); failures to read or
+ * write it are logged, not thrown, so private windows still work.
+ *
+ * Returns:
+ * - read(): the current look as a version PRESET_VERSION preset
+ * - apply(json): migrate and apply preset JSON (throws with every problem)
+ * - names(): saved preset names, sorted
+ * - get(name) / save(name, preset?) / remove(name): named presets
+ *   (save() stores the current look unless given one)
+ * - active / setActive(name | null): the last preset picked, remembered
+ *   across reloads
+ */
+export function createSunPresets(targets, storage = globalThis.localStorage) {
+  const { sunMaterial, haloMaterial, halo, renderer } = targets;
+  const sun = sunMaterial.uniforms;
+  const glow = haloMaterial.uniforms;
+
+  const uniform = (u) => ({ get: () => u.value, set: (v) => { u.value = v; } });
+  const color = (u) => ({ get: () => `#${u.value.getHexString()}`, set: (v) => { u.value.set(v); } });
+
+  // preset path -> accessor
+  const FIELDS = {
+    "sun.vibrance": uniform(sun.uVibrance),
+    "sun.saturation": uniform(sun.uSaturation),
+    "sun.baseColor": color(sun.uBaseColor),
+    "sun.hotColor": color(sun.uHotColor),
+    "sun.noise.largeScale": uniform(sun.uLargeScale),
+    "sun.noise.smallScale": uniform(sun.uSmallScale),
+    "sun.noise.smallFlowFactor": uniform(sun.uSmallFlowFactor),
+    "sun.noise.fbmAmp": uniform(sun.uFbmAmp),
+    "sun.noise.fbmGain": uniform(sun.uFbmGain),
+    "sun.noise.fbmLacunarity": uniform(sun.uFbmLacunarity),
+    "sun.spots.scale": uniform(sun.uSpotScale),
+    "sun.spots.intensity": uniform(sun.uSpotIntensity),
+    "sun.spots.thresholdLow": uniform(sun.uSpotThresholdLow),
+    "sun.spots.thresholdHigh": uniform(sun.uSpotThresholdHigh),
+    "sun.spots.flowRadius": uniform(sun.uSpotFlowRadius),
+    "sun.spots.loopPeriod": uniform(sun.uLoopPeriod),
+    "sun.spots.pulse": uniform(sun.uSpotPulse),
+    "sun.spots.phaseScale": uniform(sun.uSpotPhaseScale),
+    "halo.color": color(glow.uGlowColor),
+    "halo.intensity": uniform(glow.uIntensity),
+    "halo.alpha": uniform(glow.uAlpha),
+    "halo.power": uniform(glow.uPower),
+    "halo.size": { get: () => halo.scale.x, set: (v) => halo.scale.setScalar(v) },
+    toneMappingExposure: {
+      get: () => renderer.toneMappingExposure,
+      set: (v) => { renderer.toneMappingExposure = v; },
+    },
+  };
+
+  function read() {
+    const preset = { version: PRESET_VERSION };
+    for (const [path, field] of Object.entries(FIELDS)) setPath(preset, path, field.get());
+    return preset;
+  }
+
+  function apply(json) {
+    const preset = migratePreset(json);
+
+    // check everything first, so a bad preset changes nothing
+    const errors = [];
+    for (const path of Object.keys(FIELDS)) {
+      const v = getPath(preset, path);
+      if (v === undefined) continue;
+      const isColor = path.endsWith("olor");
+      if (isColor ? typeof v !== "string" : !Number.isFinite(v)) {
+        errors.push(`${path} must be ${isColor ? "a color string" : "a number"}, got ${JSON.stringify(v)}`);
+      }
+    }
+    if (errors.length > 0) throw new Error(`Invalid preset:\n- ${errors.join("\n- ")}`);
+
+    for (const [path, field] of Object.entries(FIELDS)) {
+      const v = getPath(preset, path);
+      if (v !== undefined) field.set(v);
+    }
+  }
+
+  // --- named presets in storage ---
+
+  function load() {
+    try {
+      return JSON.parse(storage?.getItem(STORAGE_KEY) ?? "null") ?? { presets: {}, active: null };
+    } catch (err) {
+      console.warn("Could not read saved sun presets", err);
+      return { presets: {}, active: null };
+    }
+  }
+
+  const stored = load();
+
+  function persist() {
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify(stored));
+    } catch (err) {
+      console.warn("Could not save sun presets", err);
+    }
+  }
+
+  function names() {
+    return Object.keys(stored.presets).sort((a, b) => a.localeCompare(b));
+  }
+
+  function get(name) {
+    const preset = stored.presets[name];
+    return preset ? migratePreset(preset) : null;
+  }
+
+  function save(name, preset = read()) {
+    stored.presets[name] = migratePreset(preset);
+    persist();
+  }
+
+  function remove(name) {
+    delete stored.presets[name];
+    if (stored.active === name) stored.active = null;
+    persist();
+  }
+
+  function setActive(name) {
+    stored.active = name;
+    persist();
+  }
+
+  return {
+    read,
+    apply,
+    names,
+    get,
+    save,
+    remove,
+    get active() {
+      return stored.active;
+    },
+    setActive,
+  };
+}
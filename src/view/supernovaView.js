@@ -0,0 +1,60 @@
+// src/view/supernovaView.js
+import * as THREE from "three";
+
+/**
+ * Expanding supernova shockwave shell.
+ * Returns:
+ * - mesh: the shell (unit sphere, scaled to the shockwave radius)
+ * - update(radius, strength): resize/fade; radius <= 0 hides it
+ */
+export function createSupernovaView(scene, color = "#9fd8ff") {
+  const geo = new THREE.SphereGeometry(1, 64, 64);
+  const mat = new THREE.ShaderMaterial({
+    vertexShader: /* glsl */ `
+      varying vec3 vViewNormal;
+
+      void main() {
+        vViewNormal = normalize(normalMatrix * normal);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: /* glsl */ `
+      precision highp float;
+
+      uniform vec3 uColor;
+      uniform float uStrength;
+
+      varying vec3 vViewNormal;
+
+      void main() {
+        // bright at the limb, faint face-on: reads as a thin shell
+        float facing = clamp(abs(vViewNormal.z), 0.0, 1.0);
+        float rim = pow(1.0 - facing, 2.5);
+        float a = (0.08 + 0.92 * rim) * uStrength;
+        gl_FragColor = vec4(uColor * a * 2.0, a);
+      }
+    `,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    uniforms: {
+      uColor: { value: new THREE.Color(color) },
+      uStrength: { value: 0 },
+    },
+  });
+
+  const mesh = new THREE.Mesh(geo, mat);
+  mesh.name = "SupernovaShockwave";
+  mesh.visible = false;
+  scene.add(mesh);
+
+  function update(radius, strength) {
+    mesh.visible = radius > 0;
+    if (!mesh.visible) return;
+    mesh.scale.setScalar(radius);
+    mat.uniforms.uStrength.value = strength;
+  }
+
+  return { mesh, update };
+}
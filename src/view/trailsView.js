@@ -0,0 +1,212 @@
+// src/view/trailsView.js
+import * as THREE from "three";
+
+/**
+ * Fading trails of where bodies actually went + dashed "ghost" paths of
+ * where they will be.
+ *
+ * All geometry is preallocated: each frame only rewrites buffer contents
+ * and draw ranges, nothing is rebuilt.
+ *
+ * options:
+ * - trailBodies / predictBodies: names that get a trail / a ghost path
+ * - trailSamples / predictSamples: buffer sizes (fixed at creation)
+ * - trailLength: seconds of sim time kept in a trail
+ * - horizon: seconds of sim time predicted ahead
+ * - colors: name -> THREE.Color (defaults to white)
+ *
+ * Returns:
+ * - group, settings ({ trailLength, horizon, showTrails, showPredictions }; GUI-editable)
+ * - update(t, positions): record the current (view-frame) positions
+ * - updatePrediction(t, sample): sample(tFuture) -> positions, same frame as update()
+ * - reset(name?): drop trail history, for one body or all (e.g. after a
+ *   reference frame switch, or a quantum body jumping host)
+ * - setColor(name, color): recolor a body's trail and ghost path
+ * - dispose(): remove from the scene and free the buffers
+ *
+ * options.settings: start from (and keep writing to) an existing settings
+ * object, so GUI controls survive rebuilding the view.
+ */
+export function createTrailsView(scene, options) {
+  const {
+    trailBodies = [],
+    predictBodies = [],
+    trailSamples = 256,
+    predictSamples = 128,
+    colors = {},
+  } = options;
+
+  const settings = options.settings ?? {
+    trailLength: options.trailLength ?? 60,
+    horizon: options.horizon ?? 30,
+    showTrails: true,
+    showPredictions: true,
+  };
+
+  const group = new THREE.Group();
+  group.name = "Trails";
+  scene.add(group);
+
+  const colorOf = (name) => colors[name] ?? new THREE.Color(0xffffff);
+
+  function writeVec(arr, i, p) {
+    arr[i * 3] = p.x;
+    arr[i * 3 + 1] = p.y;
+    arr[i * 3 + 2] = p.z;
+  }
+
+  // --- trails: samples + one extra "head" vertex that sits on the body ---
+  const trails = {};
+  for (const name of trailBodies) {
+    const cap = trailSamples;
+    const pos = new Float32Array((cap + 1) * 3);
+    const col = new Float32Array((cap + 1) * 4);
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute("position", new THREE.BufferAttribute(pos, 3).setUsage(THREE.DynamicDrawUsage));
+    geo.setAttribute("color", new THREE.BufferAttribute(col, 4).setUsage(THREE.DynamicDrawUsage));
+    geo.setDrawRange(0, 0);
+
+    const line = new THREE.Line(geo, new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+    }));
+    line.name = `${name}Trail`;
+    line.frustumCulled = false; // bounds change every frame
+    group.add(line);
+
+    trails[name] = { line, pos, col, times: new Float64Array(cap), count: 0, cap, color: colorOf(name) };
+  }
+
+  // --- ghost paths: fixed sample count over the horizon ---
+  const ghosts = {};
+  for (const name of predictBodies) {
+    const n = predictSamples;
+    const pos = new Float32Array(n * 3);
+    const dist = new Float32Array(n);
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute("position", new THREE.BufferAttribute(pos, 3).setUsage(THREE.DynamicDrawUsage));
+    // written by hand: computeLineDistances() would allocate a new attribute every call
+    geo.setAttribute("lineDistance", new THREE.BufferAttribute(dist, 1).setUsage(THREE.DynamicDrawUsage));
+
+    const line = new THREE.Line(geo, new THREE.LineDashedMaterial({
+      color: colorOf(name),
+      dashSize: 1.5,
+      gapSize: 1.0,
+      transparent: true,
+      opacity: 0.7,
+      depthWrite: false,
+    }));
+    line.name = `${name}Ghost`;
+    line.frustumCulled = false;
+    group.add(line);
+
+    ghosts[name] = { line, pos, dist };
+  }
+
+  let lastT = null;
+
+  function reset(name) {
+    if (typeof name === "string") {
+      if (trails[name]) trails[name].count = 0;
+      return;
+    }
+    for (const tr of Object.values(trails)) {
+      tr.count = 0;
+      tr.line.geometry.setDrawRange(0, 0);
+    }
+    lastT = null;
+  }
+
+  function setColor(name, color) {
+    if (trails[name]) trails[name].color = color;
+    ghosts[name]?.line.material.color.copy(color);
+  }
+
+  // drop the oldest sample (buffers stay in place, contents slide down)
+  function shift(tr) {
+    tr.pos.copyWithin(0, 3, tr.count * 3);
+    tr.times.copyWithin(0, 1, tr.count);
+    tr.count--;
+  }
+
+  function update(t, positions) {
+    const length = settings.trailLength;
+    const step = length / trailSamples;
+
+    // a jump (scrub, loop reset) longer than the trail makes history meaningless
+    if (lastT !== null && Math.abs(t - lastT) > length) reset();
+    lastT = t;
+
+    for (const [name, tr] of Object.entries(trails)) {
+      tr.line.visible = settings.showTrails;
+      const p = positions[name];
+      if (!p) continue;
+
+      // time running backwards: forget samples from the "future"
+      while (tr.count > 0 && tr.times[tr.count - 1] > t) tr.count--;
+      // too old
+      while (tr.count > 0 && tr.times[0] < t - length) shift(tr);
+
+      if (tr.count === 0 || t - tr.times[tr.count - 1] >= step) {
+        if (tr.count === tr.cap) shift(tr);
+        writeVec(tr.pos, tr.count, p);
+        tr.times[tr.count] = t;
+        tr.count++;
+      }
+
+      // head vertex follows the body between samples
+      writeVec(tr.pos, tr.count, p);
+
+      // fade by age
+      const { r, g, b } = tr.color;
+      for (let i = 0; i <= tr.count; i++) {
+        const age = i < tr.count ? t - tr.times[i] : 0;
+        tr.col[i * 4] = r;
+        tr.col[i * 4 + 1] = g;
+        tr.col[i * 4 + 2] = b;
+        tr.col[i * 4 + 3] = Math.max(0, 1 - age / length);
+      }
+
+      const geo = tr.line.geometry;
+      geo.setDrawRange(0, tr.count + 1);
+      geo.attributes.position.needsUpdate = true;
+      geo.attributes.color.needsUpdate = true;
+    }
+  }
+
+  function updatePrediction(t, sample) {
+    for (const g of Object.values(ghosts)) g.line.visible = settings.showPredictions;
+    if (!settings.showPredictions || predictSamples < 2) return;
+
+    for (let i = 0; i < predictSamples; i++) {
+      const positions = sample(t + (settings.horizon * i) / (predictSamples - 1));
+      for (const [name, g] of Object.entries(ghosts)) {
+        const p = positions[name];
+        if (!p) continue;
+        writeVec(g.pos, i, p);
+        if (i === 0) {
+          g.dist[0] = 0;
+        } else {
+          const dx = p.x - g.pos[i * 3 - 3], dy = p.y - g.pos[i * 3 - 2], dz = p.z - g.pos[i * 3 - 1];
+          g.dist[i] = g.dist[i - 1] + Math.hypot(dx, dy, dz);
+        }
+      }
+    }
+
+    for (const g of Object.values(ghosts)) {
+      g.line.geometry.attributes.position.needsUpdate = true;
+      g.line.geometry.attributes.lineDistance.needsUpdate = true;
+    }
+  }
+
+  function dispose() {
+    scene.remove(group);
+    for (const line of group.children) {
+      line.geometry.dispose();
+      line.material.dispose();
+    }
+  }
+
+  return { group, settings, update, updatePrediction, reset, setColor, dispose };
+}